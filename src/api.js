@@ -0,0 +1,118 @@
+const { AWS4CLI, DEFAULT_OPTIONS } = require('./index');
+const { resolveEndpoint } = require('./endpoints');
+const { parseDate } = require('./clock');
+const {
+  AWS4CLIError,
+  InvalidOptionError,
+  InvalidUrlError,
+  CredentialsError,
+  SigningError,
+} = require('./errors');
+
+// Options accepted by signRequest(), named as in DEFAULT_OPTIONS
+const SIGN_OPTIONS = [
+  'method',
+  'headers',
+  'body',
+  'service',
+  'region',
+  'credentials',
+  'profile',
+  'cache',
+  'expires',
+  'signQuery',
+  'unsignedPayload',
+  'sigv4a',
+  'regionSet',
+  'date',
+];
+
+function createOptions(options) {
+  for (const key of Object.keys(options)) {
+    if (!SIGN_OPTIONS.includes(key)) {
+      throw new InvalidOptionError(`Unknown option "${key}". Supported options: ${SIGN_OPTIONS.join(', ')}`);
+    }
+  }
+
+  const expires = options.expires === undefined ? DEFAULT_OPTIONS.expires : options.expires;
+  if (!Number.isInteger(expires) || expires < 1 || expires > 604800) {
+    throw new InvalidOptionError('expires must be a number of seconds between 1 and 604800 (7 days)');
+  }
+
+  const { credentials = {} } = options;
+  if (typeof credentials !== 'object' || credentials === null ||
+      Boolean(credentials.accessKeyId) !== Boolean(credentials.secretAccessKey)) {
+    throw new InvalidOptionError('credentials must include both accessKeyId and secretAccessKey');
+  }
+
+  const body = options.body;
+  if (body !== undefined && typeof body !== 'string' && !Buffer.isBuffer(body)) {
+    throw new InvalidOptionError('body must be a string or a Buffer');
+  }
+
+  let date = null;
+  if (options.date !== undefined) {
+    date = options.date instanceof Date ? new Date(options.date) : parseDate(options.date);
+    if (isNaN(date.getTime())) {
+      throw new InvalidOptionError('date must be a valid Date or an ISO 8601 timestamp');
+    }
+  }
+
+  return {
+    ...DEFAULT_OPTIONS,
+    method: options.method || DEFAULT_OPTIONS.method,
+    explicitMethod: options.method !== undefined,
+    headers: { ...options.headers },
+    body,
+    bodyFile: null,
+    service: options.service,
+    region: options.region,
+    // Explicit credentials win; otherwise the AWS SDK provider chain is used
+    accessKeyId: credentials.accessKeyId,
+    secretAccessKey: credentials.secretAccessKey,
+    sessionToken: credentials.sessionToken,
+    explicitSessionToken: credentials.sessionToken !== undefined,
+    profile: options.profile || DEFAULT_OPTIONS.profile,
+    // Library callers opt in to the on-disk credential cache
+    cache: Boolean(options.cache),
+    expires,
+    signQuery: Boolean(options.signQuery),
+    unsignedPayload: Boolean(options.unsignedPayload),
+    sigv4a: Boolean(options.sigv4a || options.regionSet),
+    regionSet: options.regionSet || null,
+    date,
+    output: 'curl',
+    postFields: {},
+    postConditions: [],
+    verbose: false,
+  };
+}
+
+// Signs a request the same way the CLI does and returns the signed URL (a
+// presigned URL when signQuery is set), the method and headers to send, the
+// equivalent curl command and any warnings, such as a service that couldn't be
+// inferred. Nothing is printed. Rejects with one of the errors below.
+async function signRequest(url, options = {}) {
+  const cli = new AWS4CLI(url, createOptions(options));
+  cli.parseUrl();
+  cli.buildRequestOptions();
+  const signedOptions = await cli.sign();
+
+  return {
+    url: cli.formatUrl(signedOptions),
+    method: signedOptions.method,
+    headers: { ...signedOptions.headers },
+    curl: cli.formatCurl(signedOptions),
+    warnings: cli.warnings,
+  };
+}
+
+module.exports = {
+  signRequest,
+  resolveEndpoint,
+  AWS4CLIError,
+  InvalidOptionError,
+  InvalidUrlError,
+  CredentialsError,
+  SigningError,
+};
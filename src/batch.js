@@ -0,0 +1,226 @@
+// Reading request manifests and writing results for the batch command.
+// Manifests are JSON Lines (one object per line) or CSV with a header row.
+
+const BATCH_FORMATS = ['jsonl', 'csv'];
+
+const MANIFEST_FIELDS = ['url', 'method', 'headers', 'body', 'expires', 'service', 'region'];
+
+const RESULT_FIELDS = ['line', 'url', 'method', 'headers', 'expiresAt', 'error'];
+
+function detectFormat(file) {
+  return /\.csv$/i.test(file || '') ? 'csv' : 'jsonl';
+}
+
+// RFC 4180: fields may be quoted, quotes inside are doubled and quoted fields
+// may span lines. Returns the rows with the line number each one starts on.
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+  let i = 0;
+
+  const endField = () => {
+    row.push(field);
+    field = '';
+  };
+  const endRow = () => {
+    endField();
+    if (row.length > 1 || row[0] !== '') {
+      rows.push({ line: rowLine, fields: row });
+    }
+    row = [];
+  };
+
+  while (i < text.length) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i += 2;
+        continue;
+      }
+      if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+        if (char === '\n') {
+          line++;
+        }
+      }
+      i++;
+      continue;
+    }
+
+    if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      endField();
+    } else if (char === '\n' || char === '\r') {
+      endRow();
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      line++;
+      rowLine = line;
+    } else {
+      field += char;
+    }
+    i++;
+  }
+
+  if (quoted) {
+    throw new Error(`Unterminated quoted field starting on line ${rowLine}`);
+  }
+  if (field !== '' || row.length > 0) {
+    endRow();
+  }
+  return rows;
+}
+
+function formatCsvField(value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function validateRequest(record) {
+  if (typeof record !== 'object' || record === null || Array.isArray(record)) {
+    throw new Error('Expected an object with at least a "url"');
+  }
+
+  const unknown = Object.keys(record).filter((key) => !MANIFEST_FIELDS.includes(key));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown field "${unknown[0]}". Supported fields: ${MANIFEST_FIELDS.join(', ')}`);
+  }
+  if (typeof record.url !== 'string' || record.url === '') {
+    throw new Error('Missing "url"');
+  }
+
+  const request = { url: record.url };
+  if (record.method !== undefined) {
+    if (typeof record.method !== 'string' || !/^[A-Za-z]+$/.test(record.method)) {
+      throw new Error(`Invalid method "${record.method}"`);
+    }
+    request.method = record.method.toUpperCase();
+  }
+
+  if (record.headers !== undefined) {
+    const headers = typeof record.headers === 'string' ? parseJsonField(record.headers, 'headers') : record.headers;
+    if (typeof headers !== 'object' || headers === null || Array.isArray(headers) ||
+        Object.values(headers).some((value) => typeof value !== 'string')) {
+      throw new Error('"headers" must be an object of header names to string values');
+    }
+    request.headers = headers;
+  }
+
+  if (record.body !== undefined) {
+    request.body = typeof record.body === 'string' ? record.body : JSON.stringify(record.body);
+  }
+
+  if (record.expires !== undefined) {
+    const expires = Number(record.expires);
+    if (!Number.isInteger(expires) || expires < 1 || expires > 604800) {
+      throw new Error('"expires" must be a number of seconds between 1 and 604800 (7 days)');
+    }
+    request.expires = expires;
+  }
+
+  for (const key of ['service', 'region']) {
+    if (record[key] !== undefined && record[key] !== '') {
+      request[key] = String(record[key]);
+    }
+  }
+  return request;
+}
+
+function parseJsonField(value, name) {
+  if (value === '') {
+    return undefined;
+  }
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    throw new Error(`"${name}" must be a JSON object: ${error.message}`);
+  }
+}
+
+// Returns one entry per request, { line, request } or { line, error }, so one
+// bad line doesn't stop the rest of the batch.
+function parseManifest(text, format) {
+  const entries = [];
+
+  if (format === 'csv') {
+    const [header, ...rows] = parseCsv(text);
+    if (!header) {
+      return entries;
+    }
+    const columns = header.fields.map((name) => name.trim());
+    for (const { line, fields } of rows) {
+      try {
+        if (fields.length !== columns.length) {
+          throw new Error(`Expected ${columns.length} fields, found ${fields.length}`);
+        }
+        const record = {};
+        columns.forEach((column, index) => {
+          if (fields[index] !== '') {
+            record[column] = fields[index];
+          }
+        });
+        entries.push({ line, request: validateRequest(record) });
+      } catch (error) {
+        entries.push({ line, error: error.message });
+      }
+    }
+    return entries;
+  }
+
+  text.split(/\r?\n/).forEach((content, index) => {
+    if (content.trim() === '') {
+      return;
+    }
+    const line = index + 1;
+    try {
+      let record;
+      try {
+        record = JSON.parse(content);
+      } catch (error) {
+        throw new Error(`Invalid JSON: ${error.message}`);
+      }
+      entries.push({ line, request: validateRequest(record) });
+    } catch (error) {
+      entries.push({ line, error: error.message });
+    }
+  });
+  return entries;
+}
+
+function formatResultHeader(format) {
+  return format === 'csv' ? RESULT_FIELDS.join(',') : null;
+}
+
+function formatResult(result, format) {
+  if (format === 'csv') {
+    return RESULT_FIELDS.map((field) => formatCsvField(result[field])).join(',');
+  }
+  const record = {};
+  for (const field of RESULT_FIELDS) {
+    if (result[field] !== undefined) {
+      record[field] = result[field];
+    }
+  }
+  return JSON.stringify(record);
+}
+
+module.exports = {
+  BATCH_FORMATS,
+  detectFormat,
+  parseCsv,
+  parseManifest,
+  formatResultHeader,
+  formatResult,
+};
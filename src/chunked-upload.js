@@ -0,0 +1,102 @@
+const { Transform } = require('stream');
+const { hash, hmac } = require('./sigv4');
+
+// https://docs.aws.amazon.com/AmazonS3/latest/API/sigv4-streaming.html
+const STREAMING_PAYLOAD = 'STREAMING-AWS4-HMAC-SHA256-PAYLOAD';
+const UNSIGNED_PAYLOAD = 'UNSIGNED-PAYLOAD';
+const DEFAULT_CHUNK_SIZE = 64 * 1024;
+const MIN_CHUNK_SIZE = 8 * 1024;
+
+const EMPTY_HASH = hash('');
+const SIGNATURE_LENGTH = 64;
+const CHUNK_SIGNATURE_PREFIX = ';chunk-signature=';
+
+// Size of a single encoded chunk: hex(size);chunk-signature=<sig>\r\n<data>\r\n
+function encodedChunkLength(size) {
+  return size.toString(16).length + CHUNK_SIGNATURE_PREFIX.length + SIGNATURE_LENGTH + 2 + size + 2;
+}
+
+// Content-Length of the aws-chunked body for a payload of the given size,
+// including the final zero-length chunk.
+function encodedLength(size, chunkSize = DEFAULT_CHUNK_SIZE) {
+  const fullChunks = Math.floor(size / chunkSize);
+  const remainder = size % chunkSize;
+
+  let length = fullChunks * encodedChunkLength(chunkSize);
+  if (remainder > 0) {
+    length += encodedChunkLength(remainder);
+  }
+  return length + encodedChunkLength(0);
+}
+
+// Re-frames a payload stream into aws-chunked encoding. Every chunk signature
+// chains off the previous one, starting from the seed signature of the request.
+class ChunkSigner extends Transform {
+  constructor({ signingKey, datetime, scope, seedSignature, chunkSize = DEFAULT_CHUNK_SIZE }) {
+    super();
+    this.signingKey = signingKey;
+    this.datetime = datetime;
+    this.scope = scope;
+    this.previousSignature = seedSignature;
+    this.chunkSize = chunkSize;
+    this.buffered = [];
+    this.bufferedLength = 0;
+  }
+
+  signChunk(data) {
+    const stringToSign = [
+      'AWS4-HMAC-SHA256-PAYLOAD',
+      this.datetime,
+      this.scope,
+      this.previousSignature,
+      EMPTY_HASH,
+      hash(data),
+    ].join('\n');
+
+    this.previousSignature = hmac(this.signingKey, stringToSign, 'hex');
+    return this.previousSignature;
+  }
+
+  encodeChunk(data) {
+    const signature = this.signChunk(data);
+    return Buffer.concat([
+      Buffer.from(`${data.length.toString(16)}${CHUNK_SIGNATURE_PREFIX}${signature}\r\n`),
+      data,
+      Buffer.from('\r\n'),
+    ]);
+  }
+
+  _transform(chunk, encoding, callback) {
+    const data = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, encoding);
+    this.buffered.push(data);
+    this.bufferedLength += data.length;
+
+    if (this.bufferedLength >= this.chunkSize) {
+      let data = Buffer.concat(this.buffered);
+      while (data.length >= this.chunkSize) {
+        this.push(this.encodeChunk(data.subarray(0, this.chunkSize)));
+        data = data.subarray(this.chunkSize);
+      }
+      this.buffered = [data];
+      this.bufferedLength = data.length;
+    }
+    callback();
+  }
+
+  _flush(callback) {
+    if (this.bufferedLength > 0) {
+      this.push(this.encodeChunk(Buffer.concat(this.buffered)));
+    }
+    this.push(this.encodeChunk(Buffer.alloc(0)));
+    callback();
+  }
+}
+
+module.exports = {
+  STREAMING_PAYLOAD,
+  UNSIGNED_PAYLOAD,
+  DEFAULT_CHUNK_SIZE,
+  MIN_CHUNK_SIZE,
+  encodedLength,
+  ChunkSigner,
+};
@@ -0,0 +1,82 @@
+// Signing at another time than the local clock's: a fixed --date, for
+// reproducible signatures, or the clock of a server (--sync-clock) when the
+// local one is off.
+
+const http = require('http');
+const https = require('https');
+const { URL } = require('url');
+const { InvalidOptionError } = require('./errors');
+
+// AWS rejects requests signed more than 15 minutes off; warn well before that
+const SKEW_WARNING = 5 * 60 * 1000;
+
+const SYNC_TIMEOUT = 10000;
+
+// An ISO 8601 date with a time zone, a date alone (midnight UTC), or an X-Amz-Date
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2}))?$/i;
+const AMZ_DATE_PATTERN = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/;
+
+function toAmzDate(date) {
+  return date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+}
+
+function parseDate(value) {
+  const amzDate = AMZ_DATE_PATTERN.exec(value || '');
+  const date = amzDate
+    ? new Date(`${amzDate[1]}-${amzDate[2]}-${amzDate[3]}T${amzDate[4]}:${amzDate[5]}:${amzDate[6]}Z`)
+    : new Date(ISO_DATE_PATTERN.test(value || '') ? value : NaN);
+  if (isNaN(date.getTime())) {
+    throw new InvalidOptionError(
+      `Invalid date "${value}". Expected an ISO 8601 timestamp with a time zone, e.g. 2023-12-01T12:00:00Z`
+    );
+  }
+  return date;
+}
+
+// "3 minutes 5 seconds ahead of", "42 seconds behind"
+function describeSkew(offset) {
+  const seconds = Math.round(Math.abs(offset) / 1000);
+  const minutes = Math.floor(seconds / 60);
+  const parts = [];
+  if (minutes > 0) {
+    parts.push(`${minutes} minute${minutes === 1 ? '' : 's'}`);
+  }
+  if (seconds % 60 > 0 || minutes === 0) {
+    parts.push(`${seconds % 60} second${seconds % 60 === 1 ? '' : 's'}`);
+  }
+  // offset is the server's time minus the local time
+  return `${parts.join(' ')} ${offset > 0 ? 'behind' : 'ahead of'}`;
+}
+
+// Reads the Date header of a HEAD request to `url`. Resolves with the
+// server's time and its offset from the local clock, measured from the
+// middle of the round trip.
+function fetchServerTime(url, { timeout = SYNC_TIMEOUT } = {}) {
+  const target = new URL(url);
+  const transport = target.protocol === 'http:' ? http : https;
+
+  return new Promise((resolve, reject) => {
+    const sentAt = Date.now();
+    const request = transport.request(target, { method: 'HEAD', timeout }, (response) => {
+      response.resume();
+      const receivedAt = Date.now();
+      const serverDate = response.headers.date ? new Date(response.headers.date) : null;
+      if (!serverDate || isNaN(serverDate.getTime())) {
+        reject(new Error(`Unable to sync the clock: ${url} didn't send a Date header`));
+        return;
+      }
+      resolve({ serverDate, offset: serverDate.getTime() - (sentAt + receivedAt) / 2 });
+    });
+    request.on('timeout', () => request.destroy(new Error(`no response within ${timeout / 1000} seconds`)));
+    request.on('error', (error) => reject(new Error(`Unable to sync the clock with ${url}: ${error.message}`)));
+    request.end();
+  });
+}
+
+module.exports = {
+  SKEW_WARNING,
+  toAmzDate,
+  parseDate,
+  describeSkew,
+  fetchServerTime,
+};
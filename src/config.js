@@ -0,0 +1,166 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Defaults and named presets are read from ~/.aws4-cli.json and from the
+// nearest .aws4clirc in the current directory or its parents. Project settings
+// override the user's; explicit command line flags override both.
+const USER_CONFIG_FILE = '.aws4-cli.json';
+const PROJECT_CONFIG_FILE = '.aws4clirc';
+
+// Options a config file may set, named as in DEFAULT_OPTIONS, and the JSON
+// type of their values. A body may be any JSON value; non-strings are sent as JSON.
+const CONFIG_TYPES = {
+  url: 'string',
+  method: 'string',
+  headers: 'object',
+  body: 'any',
+  service: 'string',
+  region: 'string',
+  profile: 'string',
+  cache: 'boolean',
+  roleArn: 'string',
+  roleSessionName: 'string',
+  externalId: 'string',
+  duration: 'number',
+  mfaSerial: 'string',
+  stsEndpoint: 'string',
+  expires: 'number',
+  syncClock: 'string',
+  output: 'string',
+  shell: 'string',
+  signQuery: 'boolean',
+  sigv4a: 'boolean',
+  regionSet: 'string',
+  unsignedPayload: 'boolean',
+  verbose: 'boolean',
+  redact: 'boolean',
+};
+
+const CONFIG_KEYS = Object.keys(CONFIG_TYPES);
+
+function readConfigFile(file) {
+  let content;
+  try {
+    content = fs.readFileSync(file, 'utf8');
+  } catch (error) {
+    throw new Error(`Unable to read config file ${file}: ${error.message}`);
+  }
+
+  if (content.trim() === '') {
+    throw new Error(`Invalid config file ${file}: the file is empty; expected a JSON object with "defaults" and/or "presets"`);
+  }
+
+  let config;
+  try {
+    config = JSON.parse(content);
+  } catch (error) {
+    throw new Error(`Invalid config file ${file}: ${error.message}`);
+  }
+
+  if (!isObject(config)) {
+    throw new Error(`Invalid config file ${file}: expected a JSON object with "defaults" and/or "presets"`);
+  }
+  if (config.defaults !== undefined) {
+    checkValues(config.defaults, file, 'defaults');
+  }
+  if (config.presets !== undefined) {
+    if (!isObject(config.presets)) {
+      throw new Error(`Invalid config file ${file}: "presets" must be an object of preset names to options`);
+    }
+    for (const [name, values] of Object.entries(config.presets)) {
+      checkValues(values, file, `preset "${name}"`);
+    }
+  }
+  return config;
+}
+
+function isObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function typeOf(value) {
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  return value === null ? 'null' : typeof value;
+}
+
+// Unknown keys are left to the caller, which lists the supported ones
+function checkValues(values, file, section) {
+  if (!isObject(values)) {
+    throw new Error(`Invalid config file ${file}: ${section} must be an object`);
+  }
+  for (const [key, value] of Object.entries(values)) {
+    const type = CONFIG_TYPES[key];
+    if (type === undefined || type === 'any') {
+      continue;
+    }
+    const valid = type === 'object' ? isObject(value) : typeof value === type;
+    if (!valid) {
+      throw new Error(`Invalid config file ${file}: "${key}" in ${section} must be a${type === 'object' ? 'n' : ''} ${type}, not ${typeOf(value)}`);
+    }
+    if (key === 'headers') {
+      const name = Object.keys(value).find((header) => typeof value[header] !== 'string');
+      if (name !== undefined) {
+        throw new Error(`Invalid config file ${file}: header "${name}" in ${section} must be a string`);
+      }
+    }
+  }
+}
+
+function findProjectConfig(cwd) {
+  let dir = path.resolve(cwd);
+  while (true) {
+    const file = path.join(dir, PROJECT_CONFIG_FILE);
+    if (fs.existsSync(file)) {
+      return file;
+    }
+    const parent = path.dirname(dir);
+    if (parent === dir) {
+      return null;
+    }
+    dir = parent;
+  }
+}
+
+// Returns { defaults, presets, files } merged from all config files that apply.
+// An explicit configPath replaces the lookup.
+function loadConfig({ configPath, cwd = process.cwd(), homedir = os.homedir() } = {}) {
+  let files;
+  if (configPath) {
+    files = [configPath];
+  } else {
+    const userConfig = path.join(homedir, USER_CONFIG_FILE);
+    files = [
+      fs.existsSync(userConfig) ? userConfig : null,
+      findProjectConfig(cwd),
+    ].filter((file, index, all) => file && all.indexOf(file) === index);
+  }
+
+  const merged = { defaults: {}, presets: {}, files };
+  for (const file of files) {
+    const config = readConfigFile(file);
+    Object.assign(merged.defaults, config.defaults);
+    Object.assign(merged.presets, config.presets);
+  }
+  return merged;
+}
+
+function getPreset(config, name) {
+  if (!Object.prototype.hasOwnProperty.call(config.presets, name)) {
+    const available = Object.keys(config.presets);
+    throw new Error(`Unknown preset: ${name}. ${available.length > 0
+      ? `Available presets: ${available.join(', ')}`
+      : 'No presets are defined in ~/.aws4-cli.json or .aws4clirc'}`);
+  }
+  return config.presets[name];
+}
+
+module.exports = {
+  USER_CONFIG_FILE,
+  PROJECT_CONFIG_FILE,
+  CONFIG_KEYS,
+  loadConfig,
+  getPreset,
+};
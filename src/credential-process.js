@@ -0,0 +1,68 @@
+// Runs a credential_process helper given with --credential-process. The
+// helper prints credentials as JSON, as described for the credential_process
+// setting of the AWS CLI:
+// { "Version": 1, "AccessKeyId": ..., "SecretAccessKey": ..., "SessionToken": ..., "Expiration": ... }
+
+const { spawn } = require('child_process');
+const { CredentialsError } = require('./errors');
+
+function parseProcessOutput(output) {
+  let data;
+  try {
+    data = JSON.parse(output);
+  } catch (error) {
+    throw new CredentialsError(`Credential process printed invalid JSON: ${error.message}`);
+  }
+
+  if (typeof data !== 'object' || data === null || data.Version !== 1) {
+    throw new CredentialsError('Credential process output must be a JSON object with "Version": 1');
+  }
+  if (typeof data.AccessKeyId !== 'string' || typeof data.SecretAccessKey !== 'string') {
+    throw new CredentialsError('Credential process output is missing AccessKeyId or SecretAccessKey');
+  }
+
+  const credentials = {
+    accessKeyId: data.AccessKeyId,
+    secretAccessKey: data.SecretAccessKey,
+    sessionToken: data.SessionToken,
+    expiration: data.Expiration ? new Date(data.Expiration) : undefined,
+  };
+  if (credentials.expiration && isNaN(credentials.expiration.getTime())) {
+    throw new CredentialsError(`Credential process returned an invalid Expiration "${data.Expiration}"`);
+  }
+  if (credentials.expiration && credentials.expiration.getTime() <= Date.now()) {
+    throw new CredentialsError(`Credential process returned credentials that expired at ${data.Expiration}`);
+  }
+  return credentials;
+}
+
+// The command runs in a shell, like credential_process. stdin and stderr are
+// passed through so helpers can prompt for an MFA code and report errors.
+function runCredentialProcess(command) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, { shell: true, stdio: ['inherit', 'pipe', 'inherit'], windowsHide: true });
+
+    let stdout = '';
+    child.stdout.on('data', (data) => { stdout += data; });
+
+    child.on('error', (error) => {
+      reject(new CredentialsError(`Unable to run credential process: ${error.message}`, { cause: error }));
+    });
+    child.on('close', (code) => {
+      if (code !== 0) {
+        reject(new CredentialsError(`Credential process exited with code ${code}`));
+        return;
+      }
+      try {
+        resolve(parseProcessOutput(stdout));
+      } catch (error) {
+        reject(error);
+      }
+    });
+  });
+}
+
+module.exports = {
+  parseProcessOutput,
+  runCredentialProcess,
+};
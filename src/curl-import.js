@@ -0,0 +1,259 @@
+// Parses curl command lines, as copied from docs or "Copy as cURL (bash)" in
+// browser devtools, into the request they describe.
+
+const ANSI_C_ESCAPES = {
+  a: '\x07', b: '\b', e: '\x1b', E: '\x1b', f: '\f', n: '\n', r: '\r', t: '\t', v: '\v',
+  '\\': '\\', "'": "'", '"': '"', '?': '?',
+};
+
+// Splits a POSIX shell command line into words: single and double quotes,
+// $'...' strings, backslash escapes and line continuations. Variables and
+// command substitutions are left as they are.
+function splitShellWords(text) {
+  const words = [];
+  let word = null;
+  let i = 0;
+
+  const append = (value) => {
+    word = (word || '') + value;
+  };
+
+  while (i < text.length) {
+    const char = text[i];
+
+    if (char === '\\') {
+      if (text[i + 1] === '\n') {
+        i += 2;
+      } else if (text[i + 1] === '\r' && text[i + 2] === '\n') {
+        i += 3;
+      } else {
+        append(text[i + 1] || '');
+        i += 2;
+      }
+    } else if (char === "'") {
+      const end = text.indexOf("'", i + 1);
+      if (end === -1) {
+        throw new Error('Unterminated single quote in curl command');
+      }
+      append(text.slice(i + 1, end));
+      i = end + 1;
+    } else if (char === '$' && text[i + 1] === "'") {
+      i += 2;
+      let value = '';
+      while (text[i] !== "'") {
+        if (i >= text.length) {
+          throw new Error("Unterminated $'...' string in curl command");
+        }
+        if (text[i] !== '\\') {
+          value += text[i++];
+          continue;
+        }
+        const escape = text[i + 1];
+        const hex = /^x([0-9a-fA-F]{1,2})|^u([0-9a-fA-F]{4})|^U([0-9a-fA-F]{8})/.exec(text.slice(i + 1));
+        if (hex) {
+          value += String.fromCodePoint(parseInt(hex[1] || hex[2] || hex[3], 16));
+          i += 1 + hex[0].length;
+        } else {
+          value += escape in ANSI_C_ESCAPES ? ANSI_C_ESCAPES[escape] : `\\${escape}`;
+          i += 2;
+        }
+      }
+      append(value);
+      i++;
+    } else if (char === '"') {
+      i++;
+      let value = '';
+      while (text[i] !== '"') {
+        if (i >= text.length) {
+          throw new Error('Unterminated double quote in curl command');
+        }
+        // Inside double quotes a backslash only escapes these characters
+        if (text[i] === '\\' && '$`"\\\n'.includes(text[i + 1])) {
+          value += text[i + 1] === '\n' ? '' : text[i + 1];
+          i += 2;
+        } else {
+          value += text[i++];
+        }
+      }
+      append(value);
+      i++;
+    } else if (/\s/.test(char)) {
+      if (word !== null) {
+        words.push(word);
+        word = null;
+      }
+      i++;
+    } else {
+      append(char);
+      i++;
+    }
+  }
+
+  if (word !== null) {
+    words.push(word);
+  }
+  return words;
+}
+
+// curl options that take a value and only affect how curl runs, not the request
+const IGNORED_WITH_VALUE = [
+  '-o', '--output', '-m', '--max-time', '--connect-timeout', '--retry', '-w', '--write-out',
+  '--cacert', '--capath', '-E', '--cert', '--key', '-x', '--proxy', '--resolve', '-c', '--cookie-jar',
+];
+const IGNORED_FLAGS = [
+  '-s', '--silent', '-S', '--show-error', '-v', '--verbose', '-i', '--include', '-L', '--location',
+  '-k', '--insecure', '-f', '--fail', '--compressed', '-g', '--globoff', '-#', '--progress-bar',
+  '-N', '--no-buffer', '--http1.1', '--http2', '-O', '--remote-name',
+];
+
+// Headers added by a previous signature, which signing replaces
+const SIGNATURE_HEADERS = ['authorization', 'x-amz-date', 'x-amz-security-token', 'x-amz-content-sha256', 'content-length'];
+
+// Returns { url, method, headers, data } where data is null or
+// { value, binary } with "@file" values following curl's conventions.
+function parseCurlCommand(command) {
+  const words = splitShellWords(command);
+  if (/^curl(\.exe)?$/.test(words[0] || '')) {
+    words.shift();
+  }
+
+  const request = { url: null, method: null, headers: {}, data: null };
+  const dataParts = [];
+  let get = false;
+
+  const setUrl = (value) => {
+    if (request.url) {
+      throw new Error('The curl command contains more than one URL');
+    }
+    request.url = value;
+  };
+  const setHeader = (header) => {
+    const colonIndex = header.indexOf(':');
+    if (colonIndex < 1) {
+      throw new Error(`Invalid header in curl command: ${header}`);
+    }
+    request.headers[header.slice(0, colonIndex).trim()] = header.slice(colonIndex + 1).trim();
+  };
+
+  for (let i = 0; i < words.length; i++) {
+    let arg = words[i];
+    let value;
+
+    // Attached values: -XPOST, -HName:value, --request=POST
+    if (/^-[XHdAeb]./.test(arg)) {
+      value = arg.slice(2);
+      arg = arg.slice(0, 2);
+    } else if (/^--[a-z-]+=/.test(arg)) {
+      value = arg.slice(arg.indexOf('=') + 1);
+      arg = arg.slice(0, arg.indexOf('='));
+    }
+    const next = () => {
+      if (value !== undefined) {
+        return value;
+      }
+      if (i + 1 >= words.length) {
+        throw new Error(`curl option ${arg} requires a value`);
+      }
+      return words[++i];
+    };
+
+    switch (arg) {
+      case '-X':
+      case '--request':
+        request.method = next();
+        break;
+
+      case '-H':
+      case '--header':
+        setHeader(next());
+        break;
+
+      case '-A':
+      case '--user-agent':
+        request.headers['User-Agent'] = next();
+        break;
+
+      case '-e':
+      case '--referer':
+        request.headers['Referer'] = next();
+        break;
+
+      case '-b':
+      case '--cookie':
+        request.headers['Cookie'] = next();
+        break;
+
+      case '-d':
+      case '--data':
+      case '--data-ascii':
+        dataParts.push({ value: next(), binary: false });
+        break;
+
+      case '--data-binary':
+        dataParts.push({ value: next(), binary: true });
+        break;
+
+      case '--data-raw':
+        dataParts.push({ value: next(), raw: true });
+        break;
+
+      case '-G':
+      case '--get':
+        get = true;
+        break;
+
+      case '-I':
+      case '--head':
+        request.method = 'HEAD';
+        break;
+
+      case '--url':
+        setUrl(next());
+        break;
+
+      default:
+        if (IGNORED_WITH_VALUE.includes(arg)) {
+          next();
+        } else if (IGNORED_FLAGS.includes(arg)) {
+          // Doesn't change the request
+        } else if (arg.startsWith('-') && arg.length > 1) {
+          throw new Error(`Unsupported curl option: ${arg}`);
+        } else {
+          setUrl(arg);
+        }
+    }
+  }
+
+  if (!request.url) {
+    throw new Error('No URL found in the curl command');
+  }
+
+  for (const name of Object.keys(request.headers)) {
+    const unsigned = name.toLowerCase() === 'x-amz-content-sha256' && /^UNSIGNED-PAYLOAD$/.test(request.headers[name]);
+    if (SIGNATURE_HEADERS.includes(name.toLowerCase()) && !unsigned) {
+      delete request.headers[name];
+    }
+  }
+
+  if (dataParts.length === 1 && !dataParts[0].raw && !get) {
+    request.data = { value: dataParts[0].value, binary: dataParts[0].binary };
+  } else if (dataParts.length > 0) {
+    // curl joins several data options with "&"
+    if (dataParts.some((part) => !part.raw && part.value.startsWith('@'))) {
+      throw new Error('@file data can only be used on its own, without -G or other data options');
+    }
+    const data = dataParts.map((part) => part.value).join('&');
+    if (get) {
+      request.url += `${request.url.includes('?') ? '&' : '?'}${data}`;
+    } else {
+      request.data = { value: data, raw: true };
+    }
+  }
+
+  return request;
+}
+
+module.exports = {
+  splitShellWords,
+  parseCurlCommand,
+};
@@ -0,0 +1,209 @@
+// Resolves the signing service and region from an AWS endpoint hostname.
+// https://docs.aws.amazon.com/general/latest/gr/rande.html
+
+const PARTITIONS = [
+  { name: 'aws-cn', suffix: 'amazonaws.com.cn', defaultRegion: 'cn-north-1' },
+  { name: 'aws', suffix: 'amazonaws.com', defaultRegion: 'us-east-1' },
+  // Dualstack-only endpoints, e.g. ec2.us-east-1.api.aws
+  { name: 'aws', suffix: 'api.aws', defaultRegion: 'us-east-1', dualstack: true },
+  // Lambda function URLs and OpenSearch domains, e.g. <url-id>.lambda-url.us-east-1.on.aws
+  { name: 'aws', suffix: 'on.aws', defaultRegion: 'us-east-1' },
+];
+
+const REGION_PATTERN = /^[a-z]{2}(-gov|-iso[a-z]?)?-[a-z]+-\d+$/;
+
+// Global services sign with a fixed region regardless of where they're called from
+const GLOBAL_SERVICE_REGIONS = {
+  cloudfront: 'us-east-1',
+  globalaccelerator: 'us-west-2',
+  iam: 'us-east-1',
+  organizations: 'us-east-1',
+  route53: 'us-east-1',
+  route53domains: 'us-east-1',
+  shield: 'us-east-1',
+  sts: 'us-east-1',
+  waf: 'us-east-1',
+};
+
+// Hostname labels whose signing name differs from the label itself
+const SIGNING_NAMES = {
+  'lambda-url': 'lambda',
+  aos: 'es',
+  email: 'ses',
+};
+
+// Matches the S3 label of a hostname: s3, s3-fips, s3-accelerate, s3-accesspoint,
+// s3-object-lambda, s3-control, s3-external-1, s3-global (Multi-Region Access Points)
+// and legacy dash-region forms like s3-us-west-2
+const S3_LABEL_PATTERN = /^s3(?:-(fips|accelerate|accesspoint|object-lambda|control|external-1|global|[a-z]{2}(?:-gov)?-[a-z]+-\d+))?$/;
+
+function partitionOfRegion(region) {
+  if (region.startsWith('cn-')) return 'aws-cn';
+  if (region.startsWith('us-gov-')) return 'aws-us-gov';
+  return 'aws';
+}
+
+function resolveS3(labels, partition) {
+  let index = -1;
+  for (let i = labels.length - 1; i >= 0; i--) {
+    if (S3_LABEL_PATTERN.test(labels[i])) {
+      index = i;
+      break;
+    }
+  }
+  if (index === -1) {
+    return null;
+  }
+
+  const variant = S3_LABEL_PATTERN.exec(labels[index])[1];
+  const rest = labels.slice(index + 1);
+  const endpoint = {
+    service: variant === 'object-lambda' ? 's3-object-lambda' : 's3',
+    region: null,
+    partition: partition.name,
+    bucket: null,
+    dualstack: Boolean(partition.dualstack),
+    fips: variant === 'fips',
+    accelerate: variant === 'accelerate',
+    mrap: false,
+  };
+
+  // Multi-Region Access Points: <alias>.mrap.accesspoint.s3-global.amazonaws.com,
+  // signed with SigV4A for a region set instead of a single region
+  if (variant === 'global') {
+    endpoint.mrap = labels[1] === 'mrap';
+    endpoint.bucket = endpoint.mrap ? labels[0] : null;
+    return rest.length === 0 ? endpoint : null;
+  }
+
+  // Interface VPC endpoints put the endpoint ID between bucket and s3 label
+  const bucketLabels = labels.slice(0, index).filter((label) => !label.startsWith('vpce-'));
+  if (bucketLabels.length > 0 && variant !== 'control') {
+    endpoint.bucket = bucketLabels.join('.');
+  }
+
+  for (const label of rest) {
+    if (label === 'dualstack') {
+      endpoint.dualstack = true;
+    } else if (REGION_PATTERN.test(label)) {
+      endpoint.region = label;
+    } else {
+      return null;
+    }
+  }
+
+  if (!endpoint.region && variant === 'external-1') {
+    endpoint.region = 'us-east-1';
+  } else if (!endpoint.region && variant && REGION_PATTERN.test(variant)) {
+    endpoint.region = variant;
+  }
+
+  // Transfer acceleration endpoints don't name the bucket's region
+  if (!endpoint.region && !endpoint.accelerate) {
+    endpoint.region = partition.defaultRegion;
+  }
+  if (endpoint.region) {
+    endpoint.partition = partitionOfRegion(endpoint.region);
+  }
+
+  return endpoint;
+}
+
+// OpenSearch domains put the service after the region:
+// search-<domain>.<region>.es.amazonaws.com and <collection>.<region>.aoss.amazonaws.com
+function resolveOpenSearch(labels, partition) {
+  const service = labels[labels.length - 1];
+  const region = labels[labels.length - 2];
+  if (!['es', 'aoss'].includes(service) || !REGION_PATTERN.test(region || '')) {
+    return null;
+  }
+
+  return {
+    service,
+    region,
+    partition: partitionOfRegion(region),
+    dualstack: Boolean(partition.dualstack),
+    fips: false,
+    global: false,
+  };
+}
+
+function resolveService(labels, partition) {
+  const remaining = labels.slice();
+  const endpoint = {
+    service: null,
+    region: null,
+    partition: partition.name,
+    dualstack: Boolean(partition.dualstack),
+    fips: false,
+    global: false,
+  };
+
+  const last = remaining[remaining.length - 1];
+  if (REGION_PATTERN.test(last)) {
+    endpoint.region = remaining.pop();
+    endpoint.partition = partitionOfRegion(endpoint.region);
+  } else if (last === 'us-gov') {
+    // GovCloud global endpoints, e.g. iam.us-gov.amazonaws.com
+    remaining.pop();
+    endpoint.region = 'us-gov-west-1';
+    endpoint.partition = 'aws-us-gov';
+    endpoint.global = true;
+  }
+
+  if (remaining[remaining.length - 1] === 'dualstack') {
+    remaining.pop();
+    endpoint.dualstack = true;
+  }
+
+  let service = remaining[remaining.length - 1];
+  if (!service) {
+    return null;
+  }
+  if (service.endsWith('-fips')) {
+    service = service.slice(0, -'-fips'.length);
+    endpoint.fips = true;
+  }
+  endpoint.service = service;
+
+  if (!endpoint.region) {
+    endpoint.global = true;
+    endpoint.region = (endpoint.partition === 'aws' && GLOBAL_SERVICE_REGIONS[service]) || partition.defaultRegion;
+  }
+
+  return endpoint;
+}
+
+// Returns { service, region, partition, ... } for AWS hostnames, or null when
+// the hostname isn't a recognised AWS endpoint.
+function resolveEndpoint(hostname) {
+  const host = (hostname || '').toLowerCase().replace(/\.$/, '');
+  const partition = PARTITIONS.find(({ suffix }) => host.endsWith(`.${suffix}`));
+  if (!partition) {
+    return null;
+  }
+
+  const labels = host.slice(0, -(partition.suffix.length + 1)).split('.');
+
+  // Interface VPC endpoints: vpce-<id>.<service>.<region>.vpce.amazonaws.com
+  const vpce = labels.length > 1 && labels[labels.length - 1] === 'vpce';
+  if (vpce) {
+    labels.pop();
+  }
+
+  const endpoint = resolveS3(labels, partition) ||
+    resolveOpenSearch(labels, partition) ||
+    resolveService(labels, partition);
+
+  if (endpoint) {
+    endpoint.service = SIGNING_NAMES[endpoint.service] || endpoint.service;
+    endpoint.vpce = vpce;
+  }
+  return endpoint;
+}
+
+module.exports = {
+  GLOBAL_SERVICE_REGIONS,
+  SIGNING_NAMES,
+  resolveEndpoint,
+};
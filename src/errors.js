@@ -0,0 +1,47 @@
+// Errors thrown by the signer. The CLI prints the message (and hint, when
+// there is one) and exits; library callers can tell them apart by class or code.
+class AWS4CLIError extends Error {
+  constructor(message, { code, hint, cause } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code || 'ERR_AWS4_CLI';
+    if (hint) {
+      this.hint = hint;
+    }
+    if (cause) {
+      this.cause = cause;
+    }
+  }
+}
+
+class InvalidOptionError extends AWS4CLIError {
+  constructor(message, details = {}) {
+    super(message, { code: 'ERR_INVALID_OPTION', ...details });
+  }
+}
+
+class InvalidUrlError extends AWS4CLIError {
+  constructor(message, details = {}) {
+    super(message, { code: 'ERR_INVALID_URL', ...details });
+  }
+}
+
+class CredentialsError extends AWS4CLIError {
+  constructor(message, details = {}) {
+    super(message, { code: 'ERR_CREDENTIALS', ...details });
+  }
+}
+
+class SigningError extends AWS4CLIError {
+  constructor(message, details = {}) {
+    super(message, { code: 'ERR_SIGNING', ...details });
+  }
+}
+
+module.exports = {
+  AWS4CLIError,
+  InvalidOptionError,
+  InvalidUrlError,
+  CredentialsError,
+  SigningError,
+};
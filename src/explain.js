@@ -0,0 +1,73 @@
+const aws4 = require('aws4');
+const { hash, hmac } = require('./sigv4');
+
+// Replays the signing of an already signed request step by step, so the
+// intermediate values can be diffed against a SignatureDoesNotMatch error.
+function explainSignature(signedRequest, credentials) {
+  const request = { ...signedRequest, headers: { ...signedRequest.headers } };
+
+  // For query signing the signature itself is part of the signed path
+  if (request.signQuery && request.path) {
+    request.path = request.path.replace(/([?&])X-Amz-Signature=[^&]*&?/, '$1').replace(/[?&]$/, '');
+  }
+
+  const signer = new aws4.RequestSigner(request, credentials);
+  signer.prepareRequest();
+
+  const canonicalRequest = signer.canonicalString();
+  const stringToSign = signer.stringToSign();
+  const date = signer.getDate();
+
+  const kDate = hmac(`AWS4${credentials.secretAccessKey}`, date);
+  const kRegion = hmac(kDate, signer.region);
+  const kService = hmac(kRegion, signer.service);
+  const kSigning = hmac(kService, 'aws4_request');
+
+  return {
+    canonicalRequest,
+    canonicalRequestHash: hash(canonicalRequest),
+    payloadHash: canonicalRequest.slice(canonicalRequest.lastIndexOf('\n') + 1),
+    signedHeaders: signer.signedHeaders(),
+    datetime: signer.getDateTime(),
+    credentialScope: signer.credentialString(),
+    stringToSign,
+    signingKey: {
+      date: { input: date, key: kDate.toString('hex') },
+      region: { input: signer.region, key: kRegion.toString('hex') },
+      service: { input: signer.service, key: kService.toString('hex') },
+      signing: { input: 'aws4_request', key: kSigning.toString('hex') }
+    },
+    signature: hmac(kSigning, stringToSign, 'hex')
+  };
+}
+
+function formatExplanation(explanation) {
+  const { signingKey } = explanation;
+
+  return [
+    'Canonical request:',
+    explanation.canonicalRequest,
+    '',
+    `Hashed payload:           ${explanation.payloadHash}`,
+    `Hashed canonical request: ${explanation.canonicalRequestHash}`,
+    `Signed headers:           ${explanation.signedHeaders}`,
+    `Credential scope:         ${explanation.credentialScope}`,
+    '',
+    'String to sign:',
+    explanation.stringToSign,
+    '',
+    'Signing key derivation:',
+    '  kSecret  = "AWS4" + <secret access key>',
+    `  kDate    = HMAC(kSecret, "${signingKey.date.input}") = ${signingKey.date.key}`,
+    `  kRegion  = HMAC(kDate, "${signingKey.region.input}") = ${signingKey.region.key}`,
+    `  kService = HMAC(kRegion, "${signingKey.service.input}") = ${signingKey.service.key}`,
+    `  kSigning = HMAC(kService, "${signingKey.signing.input}") = ${signingKey.signing.key}`,
+    '',
+    `Signature = HMAC(kSigning, string to sign) = ${explanation.signature}`
+  ].join('\n');
+}
+
+module.exports = {
+  explainSignature,
+  formatExplanation,
+};
@@ -0,0 +1,274 @@
+// Generators that turn a signed request into a snippet for another HTTP client.
+// Each takes { method, url, headers, body, bodyFile } where body is a string or
+// Buffer and bodyFile ({ path, binary }) names the file the body came from.
+
+// Headers that HTTP client libraries derive from the URL and body themselves
+// (and PowerShell refuses to set); the values they send are the signed ones.
+const TRANSPORT_HEADERS = ['host', 'content-length'];
+
+function libraryHeaders(headers) {
+  return Object.entries(headers).filter(([name]) => !TRANSPORT_HEADERS.includes(name.toLowerCase()));
+}
+
+function isUtf8(buffer) {
+  return Buffer.from(buffer.toString('utf8'), 'utf8').equals(buffer);
+}
+
+function bodyText(body) {
+  return Buffer.isBuffer(body) ? body.toString('utf8') : String(body);
+}
+
+// Single quotes keep everything literal in POSIX shells; embedded single
+// quotes close the string, add an escaped quote and reopen it.
+function quotePosix(value) {
+  const text = String(value);
+  if (/^[A-Za-z0-9_@%+=:,./-]+$/.test(text)) {
+    return text;
+  }
+  return `'${text.replace(/'/g, `'\\''`)}'`;
+}
+
+// Double quotes, escaping the characters that stay special inside them. Values
+// with "!" fall back to single quotes, as bash expands history even in double quotes.
+function quotePosixDouble(value) {
+  const text = String(value);
+  if (text.includes('!')) {
+    return quotePosix(text);
+  }
+  return `"${text.replace(/[\\"$`]/g, '\\$&')}"`;
+}
+
+// cmd.exe keeps &|<>^ literal inside double quotes; programs read "" as a quote
+// and backslashes are only special before a quote. %VAR% is expanded even
+// inside quotes, so % is escaped with ^ outside of them.
+function quoteCmd(value) {
+  const text = String(value).replace(/(\\*)("|%|$)/g, (match, backslashes, next) => {
+    const escaped = backslashes + backslashes;
+    if (next === '"') {
+      return `${escaped}""`;
+    }
+    if (next === '%') {
+      return `${escaped}"^%"`;
+    }
+    return escaped;
+  });
+  return `"${text}"`;
+}
+
+// PowerShell also treats the typographic single quotes as quotes
+function quotePowerShell(value) {
+  return `'${String(value).replace(/['\u2018\u2019\u201a\u201b]/g, '$&$&')}'`;
+}
+
+// A JSON string is also a valid JavaScript and Python string literal
+function quoteJson(value) {
+  return JSON.stringify(String(value));
+}
+
+// Python bytes literal, so the body is sent exactly as signed
+function quotePythonBytes(buffer) {
+  let literal = '';
+  for (const byte of buffer) {
+    if (byte === 0x22 || byte === 0x5c) {
+      literal += `\\${String.fromCharCode(byte)}`;
+    } else if (byte >= 0x20 && byte < 0x7f) {
+      literal += String.fromCharCode(byte);
+    } else {
+      literal += `\\x${byte.toString(16).padStart(2, '0')}`;
+    }
+  }
+  return `b"${literal}"`;
+}
+
+// How commands are written for each --shell. PowerShell aliases curl and wget
+// to Invoke-WebRequest, so the executables are named explicitly.
+const SHELLS = {
+  posix: {
+    program: (name) => name,
+    quote: quotePosix,
+    quoteDouble: quotePosixDouble,
+    lineBreak: ' \\\n  ',
+  },
+  powershell: {
+    program: (name) => `${name}.exe`,
+    quote: quotePowerShell,
+    quoteDouble: quotePowerShell,
+    lineBreak: ' `\n  ',
+  },
+  cmd: {
+    program: (name) => name,
+    quote: quoteCmd,
+    quoteDouble: quoteCmd,
+    lineBreak: ' ^\n  ',
+  },
+};
+
+function formatHttpie({ method, url, headers, body, bodyFile }) {
+  const lines = [`http ${bodyFile ? '' : '--ignore-stdin '}${method} ${quotePosix(url)}`];
+  for (const [name, value] of Object.entries(headers)) {
+    lines.push(quotePosix(`${name}:${value}`));
+  }
+  if (bodyFile) {
+    lines.push(`< ${quotePosix(bodyFile.path)}`);
+  } else if (body) {
+    lines.push(`--raw ${quotePosix(bodyText(body))}`);
+  }
+  return lines.join(' \\\n  ');
+}
+
+function methodWord(method, shell) {
+  return /^[A-Za-z]+$/.test(method) ? method : shell.quote(method);
+}
+
+function formatCurl({ method, url, headers, body, bodyFile }, shell = SHELLS.posix) {
+  const lines = [`${shell.program('curl')} -X ${methodWord(method, shell)}`];
+  for (const [name, value] of Object.entries(headers)) {
+    lines.push(`-H ${shell.quoteDouble(`${name}: ${value}`)}`);
+  }
+
+  // Refer back to the file the body was read from; -d strips its newlines too
+  if (bodyFile) {
+    lines.push(`${bodyFile.binary ? '--data-binary' : '-d'} ${shell.quote(`@${bodyFile.path}`)}`);
+  } else if (body) {
+    const text = bodyText(body);
+    lines.push(`${text.startsWith('@') ? '--data-raw' : '-d'} ${shell.quote(text)}`);
+  }
+
+  lines.push(shell.quoteDouble(url));
+  return lines.join(shell.lineBreak);
+}
+
+function formatWget({ method, url, headers, body, bodyFile }, shell = SHELLS.posix) {
+  const lines = [`${shell.program('wget')} --method=${methodWord(method, shell)}`];
+  for (const [name, value] of Object.entries(headers)) {
+    lines.push(`--header=${shell.quote(`${name}: ${value}`)}`);
+  }
+  if (bodyFile) {
+    lines.push(`--body-file=${shell.quote(bodyFile.path)}`);
+  } else if (body) {
+    lines.push(`--body-data=${shell.quote(bodyText(body))}`);
+  }
+  lines.push('-O -', shell.quote(url));
+  return lines.join(shell.lineBreak);
+}
+
+function formatPowerShell({ method, url, headers, body, bodyFile }) {
+  const lines = [`Invoke-WebRequest -Method ${method}`, `-Uri ${quotePowerShell(url)}`];
+
+  // Content-Type has its own parameter; Windows PowerShell rejects it in -Headers
+  const contentType = libraryHeaders(headers).find(([name]) => name.toLowerCase() === 'content-type');
+  const otherHeaders = libraryHeaders(headers).filter(([name]) => name.toLowerCase() !== 'content-type');
+  if (otherHeaders.length > 0) {
+    const entries = otherHeaders.map(([name, value]) => `    ${quotePowerShell(name)} = ${quotePowerShell(value)}`);
+    lines.push(`-Headers @{\n${entries.join('\n')}\n  }`);
+  }
+  if (contentType) {
+    lines.push(`-ContentType ${quotePowerShell(contentType[1])}`);
+  }
+
+  if (bodyFile) {
+    lines.push(`-InFile ${quotePowerShell(bodyFile.path)}`);
+  } else if (body) {
+    const buffer = Buffer.from(body);
+    if (!isUtf8(buffer)) {
+      lines.push(`-Body ([Convert]::FromBase64String(${quotePowerShell(buffer.toString('base64'))}))`);
+    } else if (/^[\x20-\x7e]*$/.test(buffer.toString('utf8'))) {
+      lines.push(`-Body ${quotePowerShell(buffer.toString('utf8'))}`);
+    } else {
+      // String bodies aren't always sent as UTF-8, so pass the exact bytes
+      lines.push(`-Body ([System.Text.Encoding]::UTF8.GetBytes(${quotePowerShell(buffer.toString('utf8'))}))`);
+    }
+  }
+  return lines.join(' `\n  ');
+}
+
+function formatFetch({ method, url, headers, body, bodyFile }) {
+  const lines = [`const response = await fetch(${quoteJson(url)}, {`, `  method: ${quoteJson(method)},`];
+
+  const entries = libraryHeaders(headers);
+  if (entries.length > 0) {
+    lines.push('  headers: {');
+    entries.forEach(([name, value]) => lines.push(`    ${quoteJson(name)}: ${quoteJson(value)},`));
+    lines.push('  },');
+  }
+
+  if (bodyFile) {
+    lines.push(`  body: require('fs').readFileSync(${quoteJson(bodyFile.path)}),`);
+  } else if (body) {
+    const buffer = Buffer.from(body);
+    lines.push(isUtf8(buffer)
+      ? `  body: ${quoteJson(buffer.toString('utf8'))},`
+      : `  body: Buffer.from(${quoteJson(buffer.toString('base64'))}, 'base64'),`);
+  }
+
+  lines.push('});', 'console.log(await response.text());');
+  return lines.join('\n');
+}
+
+function formatPythonRequests({ method, url, headers, body, bodyFile }) {
+  const lines = [
+    'import requests',
+    '',
+    'response = requests.request(',
+    `    ${quoteJson(method)},`,
+    `    ${quoteJson(url)},`,
+  ];
+
+  const entries = libraryHeaders(headers);
+  if (entries.length > 0) {
+    lines.push('    headers={');
+    entries.forEach(([name, value]) => lines.push(`        ${quoteJson(name)}: ${quoteJson(value)},`));
+    lines.push('    },');
+  }
+
+  if (bodyFile) {
+    lines.push(`    data=open(${quoteJson(bodyFile.path)}, "rb"),`);
+  } else if (body) {
+    lines.push(`    data=${quotePythonBytes(Buffer.from(body))},`);
+  }
+
+  lines.push(')', 'print(response.text)');
+  return lines.join('\n');
+}
+
+// The request as it goes over the wire, with CRLF line endings
+function formatRawHttp({ method, url, headers, body, bodyFile }) {
+  const { pathname, search } = new URL(url);
+  const lines = [`${method} ${pathname}${search} HTTP/1.1`];
+  for (const [name, value] of Object.entries(headers)) {
+    lines.push(`${name}: ${value}`);
+  }
+
+  let text = `${lines.join('\r\n')}\r\n\r\n`;
+  if (body) {
+    text += bodyText(body);
+  } else if (bodyFile) {
+    text += `<contents of ${bodyFile.path}>`;
+  }
+  return text;
+}
+
+const FORMATTERS = {
+  httpie: formatHttpie,
+  wget: formatWget,
+  powershell: formatPowerShell,
+  fetch: formatFetch,
+  'python-requests': formatPythonRequests,
+  raw: formatRawHttp,
+};
+
+module.exports = {
+  FORMATTERS,
+  SHELLS,
+  quotePosix,
+  quotePosixDouble,
+  quoteCmd,
+  quotePowerShell,
+  formatCurl,
+  formatHttpie,
+  formatWget,
+  formatPowerShell,
+  formatFetch,
+  formatPythonRequests,
+  formatRawHttp,
+};
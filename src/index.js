@@ -1,8 +1,48 @@
 #!/usr/bin/env node
 
 const aws4 = require('aws4');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const readline = require('readline');
+const http = require('http');
+const https = require('https');
+const { Readable } = require('stream');
 const { URL } = require('url');
 const { fromNodeProviderChain } = require('@aws-sdk/credential-providers');
+const { hash, getSigningKey } = require('./sigv4');
+const {
+  STREAMING_PAYLOAD,
+  UNSIGNED_PAYLOAD,
+  DEFAULT_CHUNK_SIZE,
+  MIN_CHUNK_SIZE,
+  encodedLength,
+  ChunkSigner,
+} = require('./chunked-upload');
+const { parseS3Location, buildPostPolicy, formatPostForm } = require('./post-policy');
+const { resolveEndpoint } = require('./endpoints');
+const sigv4a = require('./sigv4a');
+const { parseAmzDate, parseSignature, verifySignature } = require('./verify');
+const { explainSignature, formatExplanation } = require('./explain');
+const { FORMATTERS, SHELLS, formatCurl } = require('./formatters');
+const { parseCurlCommand } = require('./curl-import');
+const { parseListenAddress, SigningProxy } = require('./proxy');
+const { ReplSession } = require('./repl');
+const { CredentialCache, describeSdkSource, maskAccessKeyId } = require('./credentials');
+const {
+  MIN_DURATION,
+  MAX_DURATION,
+  defaultStsEndpoint,
+  assumeRole,
+  assumeRoleWithWebIdentity,
+  getCallerIdentity
+} = require('./sts');
+const { runCredentialProcess } = require('./credential-process');
+const { Redactor, redactStream } = require('./redact');
+const { SKEW_WARNING, toAmzDate, parseDate, describeSkew, fetchServerTime } = require('./clock');
+const { BATCH_FORMATS, detectFormat, parseManifest, formatResultHeader, formatResult } = require('./batch');
+const { CONFIG_KEYS, loadConfig, getPreset } = require('./config');
+const { InvalidOptionError, InvalidUrlError, CredentialsError, SigningError } = require('./errors');
 
 // CLI Help text
 const HELP_TEXT = `
@@ -10,6 +50,31 @@ aws4-cli - A CLI utility to sign URLs using Amazon's AWS Signature Version 4
 
 USAGE:
   aws4-cli [OPTIONS] <URL>
+  aws4-cli <COMMAND> [OPTIONS] <URL>
+  aws4-cli curl [OPTIONS] ['<CURL COMMAND>']
+  aws4-cli batch [OPTIONS] [<MANIFEST>]
+  aws4-cli proxy [OPTIONS] --upstream <URL>
+  aws4-cli repl [OPTIONS] [<BASE URL>]
+  aws4-cli cache clear [--profile <PROFILE>]
+  aws4-cli whoami [OPTIONS] [--caller-identity]
+
+COMMANDS:
+  verify                    Check the signature of a presigned URL, or of a captured request
+                            given with -H "Authorization: ..." -H "X-Amz-Date: ...", against
+                            the supplied credentials and report what differs
+  curl                      Sign an existing curl command, given as a single argument or on stdin,
+                            and print the signed curl command (or the selected --output)
+  batch                     Sign every request in a JSON Lines or CSV manifest (file or stdin) as a
+                            presigned URL, resolving credentials once; failed lines are reported
+                            in the output and make the exit code 1
+  proxy                     Run a local HTTP proxy that signs every request and forwards it to
+                            the --upstream endpoint, refreshing temporary credentials as needed
+  repl                      Start an interactive shell that keeps headers, body, service, region and
+                            credentials between requests; type "help" in it for its commands
+  cache clear               Remove cached temporary credentials (only those of --profile, if given)
+  whoami                    Show where the credentials come from, the (masked) access key ID,
+                            whether they're temporary and when they expire; --caller-identity
+                            also calls STS GetCallerIdentity to show the account and ARN
 
 ARGUMENTS:
   <URL>                     The URL to sign (required)
@@ -17,19 +82,76 @@ ARGUMENTS:
 OPTIONS:
   -X, --method <METHOD>     HTTP method (default: GET)
   -H, --header <HEADER>     Add custom header (can be used multiple times)
-  -d, --data <DATA>         Request body data
+  -d, --data <DATA>         Request body data (@FILE reads a file with newlines stripped, @- reads stdin)
+  --data-binary <DATA>      Request body data, sent byte for byte (@FILE reads a file, @- reads stdin)
   -s, --service <SERVICE>   AWS service name (auto-detected from URL if not provided)
-  -r, --region <REGION>     AWS region (default: us-east-1)
+  -r, --region <REGION>     AWS region (auto-detected from URL, else AWS_REGION, else us-east-1)
   --access-key <KEY>        AWS Access Key ID (or use AWS_ACCESS_KEY_ID env var)
   --secret-key <SECRET>     AWS Secret Access Key (or use AWS_SECRET_ACCESS_KEY env var)
   --session-token <TOKEN>   AWS Session Token (or use AWS_SESSION_TOKEN env var)
   --profile <PROFILE>       AWS profile name (supports assume role, SSO, etc.)
+  --no-cache                Don't read or write the credential cache: temporary credentials of a
+                            --profile are otherwise kept in ~/.aws4-cli/cache until shortly before
+                            they expire, so assume role and MFA profiles don't call STS every run
+  --role-arn <ARN>          Assume this IAM role (STS AssumeRole) with the credentials resolved above
+  --role-session-name <NAME>
+                            Session name for --role-arn (default: aws4-cli)
+  --external-id <ID>        External ID the role's trust policy requires
+  --duration <SECONDS>      Role session duration (default: 3600, min: 900, max: 43200)
+  --mfa-serial <ARN>        MFA device serial number or ARN for --role-arn
+  --mfa-code <CODE>         Current MFA code (prompted for on a terminal when omitted)
+  --sts-endpoint <URL>      STS endpoint for --role-arn and whoami (default: https://sts.<REGION>.amazonaws.com)
+  --web-identity-token-file <FILE>
+                            Assume --role-arn with the OIDC token in FILE (AssumeRoleWithWebIdentity),
+                            e.g. the token a CI job is issued; no other credentials are needed
+  --credential-process <CMD>
+                            Get credentials from a credential_process helper that prints them as JSON
+                            (run in a shell; its credentials can be the source for --role-arn)
+  --caller-identity         With whoami, also call STS GetCallerIdentity for the account and ARN
+  --date <ISO8601>          Sign at this time instead of now, for reproducible output
+                            (e.g. 2023-12-01T12:00:00Z; verify checks expiry at this time)
+  --sync-clock <URL>        Sign with the time of the Date header of a HEAD request to URL, for
+                            machines whose clock is off (e.g. https://sts.amazonaws.com)
   --expires <SECONDS>       Expiration time for presigned URLs in seconds (default: 3600, max: 604800)
+  --unsigned-payload        Sign with x-amz-content-sha256: UNSIGNED-PAYLOAD instead of hashing the body
+  --chunked                 Send the body as a signed aws-chunked upload (STREAMING-AWS4-HMAC-SHA256-PAYLOAD, requires --send)
+  --chunk-size <BYTES>      Chunk size for --chunked uploads (default: 65536, min: 8192)
+  --sigv4a                  Sign with SigV4A (AWS4-ECDSA-P256-SHA256), e.g. for S3 Multi-Region Access Points
+                            (enabled automatically for *.mrap.accesspoint.s3-global.amazonaws.com)
+  --region-set <REGIONS>    Comma-separated regions the SigV4A signature is valid for (default: *, implies --sigv4a)
   --sign-query              Force query string signing (automatically enabled for 'url' output)
-  --output <FORMAT>         Output format: url|curl|headers (default: url)
+  --output <FORMAT>         Output format: url|curl|headers|json|post|post-html|debug|
+                            httpie|wget|powershell|fetch|python-requests|raw (default: url)
                             - url: Presigned URL with query parameters (X-Amz-Algorithm, X-Amz-Credential, etc.)
                             - curl: Complete curl command with signed headers
                             - headers: Just the signed headers
+                            - json: URL, method, signed headers, body hash, credential scope, signature
+                              and expiration as a JSON object
+                            - post: S3 presigned POST policy form fields as JSON
+                            - post-html: S3 presigned POST policy as a ready-to-use HTML upload form
+                            - debug: Canonical request, string to sign, signing key derivation and signature
+                            - httpie, wget, powershell: Command for HTTPie, wget or Invoke-WebRequest
+                            - fetch, python-requests: Snippet for JavaScript fetch() or Python requests
+                            - raw: The HTTP/1.1 request as sent over the wire
+  --listen <[HOST:]PORT>    Address for the proxy to listen on (default: 127.0.0.1:8080)
+  --upstream <URL>          Endpoint the proxy forwards signed requests to
+  --format <FORMAT>         Manifest and result format for batch: jsonl|csv (default: from the file
+                            extension, else jsonl)
+  --shell <SHELL>           Quote curl and wget commands for posix|powershell|cmd (default: posix)
+  --explain                 Print the debug output to stderr in addition to the selected output
+  --key-prefix <PREFIX>     Allow any object key starting with PREFIX (post outputs)
+  --content-length-range <MIN,MAX>
+                            Allowed upload size in bytes (post outputs)
+  --field <NAME=VALUE>      Add a form field and an exact-match policy condition (post outputs, repeatable)
+  --condition <JSON>        Add a raw policy condition, e.g. '["starts-with", "$Content-Type", "image/"]' (repeatable)
+  --send                    Send the signed request and print the response body
+  -i, --include             Include the response status line and headers (with --send)
+  -o, --output-file <FILE>  Write the response to a file instead of stdout (with --send)
+  --preset <NAME>           Apply a named request preset from the config file
+  --config <FILE>           Read defaults and presets from FILE instead of ~/.aws4-cli.json and .aws4clirc
+  --redact                  Mask signatures, session tokens and secret keys in all output, e.g. for
+                            CI logs (the output can't be used to send requests then)
+  --no-redact               Show secrets in --verbose logs, which are otherwise masked
   -v, --verbose             Verbose output
   -h, --help               Show this help message
 
@@ -51,6 +173,14 @@ EXAMPLES:
     --output curl \\
     https://dynamodb.us-east-1.amazonaws.com/
 
+  # Sign an S3 upload of a local file (the payload hash covers the file contents)
+  aws4-cli -X PUT --data-binary @build/artifact.zip --output curl \\
+    https://my-bucket.s3.amazonaws.com/artifacts/artifact.zip
+
+  # Stream a large file to S3 as a signed chunked upload without hashing it up front
+  aws4-cli --send --chunked -X PUT --data-binary @backup.tar.gz \\
+    https://my-bucket.s3.amazonaws.com/backups/backup.tar.gz
+
   # Generate presigned URL with custom credentials
   aws4-cli --access-key AKIAEXAMPLE --secret-key secretexample \\
     --expires 7200 \\
@@ -60,10 +190,65 @@ EXAMPLES:
   aws4-cli --profile my-profile --expires 3600 \\
     https://sqs.us-east-1.amazonaws.com/?Action=ListQueues
 
+  # Assume a role in another account without creating a profile for it
+  aws4-cli --role-arn arn:aws:iam::123456789012:role/ReadOnly --external-id example-id \\
+    https://my-bucket.s3.amazonaws.com/report.csv
+
+  # In CI, exchange the job's OIDC token for a role without writing an AWS config file
+  aws4-cli --web-identity-token-file "$TOKEN_FILE" --role-arn arn:aws:iam::123456789012:role/Deploy \\
+    --send https://my-bucket.s3.amazonaws.com/artifacts/build.json
+
+  # Check which credentials a profile resolves to, and whose they are
+  aws4-cli whoami --profile my-profile --caller-identity
+
   # Generate presigned URL using assume role profile
   aws4-cli --profile cross-account-role --expires 1800 \\
     https://s3.amazonaws.com/my-bucket/
 
+  # Sign and send a DynamoDB request, printing the response headers too
+  aws4-cli --send -i -X POST \\
+    -H "Content-Type: application/x-amz-json-1.0" \\
+    -H "X-Amz-Target: DynamoDB_20120810.ListTables" \\
+    -d '{}' \\
+    https://dynamodb.us-east-1.amazonaws.com/
+
+  # Generate a presigned POST upload form for browsers (max 10 MB, keys under uploads/)
+  aws4-cli --output post-html --key-prefix uploads/ \\
+    --content-length-range 0,10485760 --field success_action_status=201 \\
+    https://my-bucket.s3.amazonaws.com/
+
+  # Presigned URL for an object behind an S3 Multi-Region Access Point (SigV4A)
+  aws4-cli --region-set "*" \\
+    https://mfzwi23gnjvgw.mrap.accesspoint.s3-global.amazonaws.com/my-object
+
+  # Show the canonical request and string to sign, to compare with a SignatureDoesNotMatch error
+  aws4-cli --output debug -X POST -d '{}' https://sqs.us-east-1.amazonaws.com/
+
+  # Run a request stored as a preset in ~/.aws4-cli.json or .aws4clirc
+  aws4-cli --preset ddb-list-tables --send
+
+  # Sign a curl command copied from the docs or browser devtools
+  aws4-cli curl --profile my-profile \\
+    'curl -X POST -H "Content-Type: application/json" -d "{}" https://abc123.execute-api.us-east-1.amazonaws.com/prod/items'
+  pbpaste | aws4-cli curl
+
+  # Presign a list of S3 objects for a release, one JSON object per line
+  aws4-cli batch --expires 86400 links.jsonl > signed.jsonl
+
+  # Let Grafana or a browser talk to OpenSearch through a local signing proxy
+  aws4-cli proxy --listen 127.0.0.1:9200 \\
+    --upstream https://search-my-domain-abc123.us-west-2.es.amazonaws.com
+
+  # Explore DynamoDB interactively: "target DynamoDB_20120810.ListTables", then "POST /"
+  aws4-cli repl --output curl https://dynamodb.us-east-1.amazonaws.com/
+
+  # Reproducible presigned URL, signed at a fixed time
+  aws4-cli --date 2023-12-01T12:00:00Z https://my-bucket.s3.amazonaws.com/my-object
+
+  # Check why a presigned URL is rejected
+  aws4-cli verify --profile my-profile \\
+    "https://my-bucket.s3.amazonaws.com/my-object?X-Amz-Algorithm=AWS4-HMAC-SHA256&..."
+
 PRESIGNED URL QUERY PARAMETERS:
   When using 'url' output format, the following query parameters are automatically added:
   - X-Amz-Algorithm: AWS4-HMAC-SHA256
@@ -83,6 +268,29 @@ ENVIRONMENT VARIABLES:
   AWS_CONFIG_FILE          AWS config file location
   AWS_SHARED_CREDENTIALS_FILE  AWS credentials file location
 
+CONFIG FILES:
+  Defaults and named presets are read from ~/.aws4-cli.json and from the nearest
+  .aws4clirc in the current directory or its parents (project settings win).
+  Command line flags always override config values.
+
+  {
+    "defaults": { "output": "curl", "region": "eu-west-1" },
+    "presets": {
+      "ddb-list-tables": {
+        "url": "https://dynamodb.us-east-1.amazonaws.com/",
+        "method": "POST",
+        "headers": { "X-Amz-Target": "DynamoDB_20120810.ListTables",
+                     "Content-Type": "application/x-amz-json-1.0" },
+        "body": {}
+      }
+    }
+  }
+
+  Supported keys: url, method, headers, body, service, region, profile, cache,
+  roleArn, roleSessionName, externalId, duration, mfaSerial, stsEndpoint, expires,
+  syncClock, output, shell, signQuery, sigv4a, regionSet, unsignedPayload, verbose,
+  redact
+
 SUPPORTED CREDENTIAL SOURCES:
   - Environment variables
   - AWS profiles (including assume role)
@@ -90,21 +298,75 @@ SUPPORTED CREDENTIAL SOURCES:
   - EC2 instance metadata
   - ECS task metadata
   - Command line arguments
+  - Roles assumed with --role-arn, on top of any of the above
+  - Web identity tokens with --web-identity-token-file and --role-arn
+  - credential_process helpers with --credential-process
 `;
 
 
+const COMMANDS = ['verify', 'curl', 'batch', 'proxy', 'repl', 'cache', 'whoami'];
+
+// Commands that run without a URL
+const URL_OPTIONAL_COMMANDS = ['batch', 'repl', 'cache', 'whoami'];
+
+const HISTORY_FILE = path.join(os.homedir(), '.aws4_cli_history');
+
+const DEFAULT_ROLE_SESSION_NAME = 'aws4-cli';
+
+const MFA_CODE_PATTERN = /^\d{6}$/;
+
+// Options that only apply when assuming a role
+const ROLE_OPTIONS = {
+  roleSessionName: '--role-session-name',
+  externalId: '--external-id',
+  duration: '--duration',
+  mfaSerial: '--mfa-serial',
+  stsEndpoint: '--sts-endpoint',
+};
+
+const OUTPUT_FORMATS = [
+  'url', 'curl', 'headers', 'json', 'post', 'post-html', 'debug',
+  'httpie', 'wget', 'powershell', 'fetch', 'python-requests', 'raw',
+];
+
 const DEFAULT_OPTIONS = {
+  command: 'sign',
   method: 'GET',
+  explicitMethod: false,
   headers: {},
-  region: process.env.AWS_REGION,
+  defaultRegion: process.env.AWS_REGION,
   accessKeyId: process.env.AWS_ACCESS_KEY_ID,
   secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
   sessionToken: process.env.AWS_SESSION_TOKEN,
+  explicitSessionToken: false,
   profile: process.env.AWS_PROFILE,
+  explicitProfile: false,
+  cache: true,
+  callerIdentity: false,
   expires: 3600, // Default 1 hour
+  // Fixed signing time (--date), or the local clock's offset from --sync-clock
+  date: null,
+  syncClock: null,
+  clockOffset: 0,
   signQuery: false,
+  sigv4a: false,
+  regionSet: null,
+  unsignedPayload: false,
+  chunked: false,
+  chunkSize: DEFAULT_CHUNK_SIZE,
   output: 'url',
-  verbose: false
+  shell: 'posix',
+  batchFormat: null,
+  listen: '127.0.0.1:8080',
+  explain: false,
+  postFields: {},
+  postConditions: [],
+  send: false,
+  include: false,
+  outputFile: null,
+  verbose: false,
+  // null redacts the verbose logs only
+  redact: null
 }
 
 
@@ -113,23 +375,37 @@ class ArgumentParser {
     this.args = process.argv.slice(2);
     this.options = DEFAULT_OPTIONS;
     this.url = null;
+    this.configUrl = null;
   }
 
   parse() {
     let i = 0;
+    if (COMMANDS.includes(this.args[0])) {
+      this.options.command = this.args[0];
+      i++;
+    }
+
+    // Help doesn't depend on the config, which may be the thing that's broken
+    if (this.args.includes('-h') || this.args.includes('--help')) {
+      console.log(HELP_TEXT);
+      process.exit(0);
+    }
+
+    // Config file defaults and the selected preset go in first so that
+    // the flags parsed below override them
+    this.applyConfig(this.findOptionValue('--config'), this.findOptionValue('--preset'));
+    if (this.options.command === 'curl') {
+      this.options.output = 'curl';
+    }
+
     while (i < this.args.length) {
       const arg = this.args[i];
 
       switch (arg) {
-        case '-h':
-        case '--help':
-          console.log(HELP_TEXT);
-          process.exit(0);
-          break;
-
         case '-X':
         case '--method':
           this.options.method = this.args[++i];
+          this.options.explicitMethod = true;
           break;
 
         case '-H':
@@ -139,7 +415,11 @@ class ArgumentParser {
 
         case '-d':
         case '--data':
-          this.options.body = this.args[++i];
+          this.parseData(this.args[++i], false, arg);
+          break;
+
+        case '--data-binary':
+          this.parseData(this.args[++i], true, arg);
           break;
 
         case '-s':
@@ -162,18 +442,96 @@ class ArgumentParser {
 
         case '--session-token':
           this.options.sessionToken = this.args[++i];
+          this.options.explicitSessionToken = true;
           break;
 
         case '--profile':
           this.options.profile = this.args[++i];
+          this.options.explicitProfile = true;
+          break;
+
+        case '--no-cache':
+          this.options.cache = false;
+          break;
+
+        case '--caller-identity':
+          this.options.callerIdentity = true;
+          break;
+
+        case '--role-arn':
+          this.options.roleArn = this.args[++i];
+          break;
+
+        case '--role-session-name':
+          this.options.roleSessionName = this.args[++i];
+          break;
+
+        case '--external-id':
+          this.options.externalId = this.args[++i];
+          break;
+
+        case '--duration':
+          this.setDuration(this.args[++i]);
+          break;
+
+        case '--mfa-serial':
+          this.options.mfaSerial = this.args[++i];
+          break;
+
+        case '--mfa-code':
+          this.options.mfaCode = this.args[++i];
+          if (!MFA_CODE_PATTERN.test(this.options.mfaCode || '')) {
+            throw new Error('--mfa-code must be the 6 digit code from the MFA device');
+          }
+          break;
+
+        case '--sts-endpoint':
+          this.options.stsEndpoint = this.args[++i];
+          break;
+
+        case '--web-identity-token-file':
+          this.options.webIdentityTokenFile = this.args[++i];
+          break;
+
+        case '--credential-process':
+          this.options.credentialProcess = this.args[++i];
           break;
 
         case '--expires':
-          const expires = parseInt(this.args[++i]);
-          if (isNaN(expires) || expires < 1 || expires > 604800) {
-            throw new Error('--expires must be a number between 1 and 604800 (7 days)');
+          this.setExpires(this.args[++i]);
+          break;
+
+        case '--date':
+          this.options.date = parseDate(this.args[++i]);
+          break;
+
+        case '--sync-clock':
+          this.options.syncClock = this.args[++i];
+          break;
+
+        case '--sigv4a':
+          this.options.sigv4a = true;
+          break;
+
+        case '--region-set':
+          this.options.regionSet = this.args[++i];
+          this.options.sigv4a = true;
+          break;
+
+        case '--unsigned-payload':
+          this.options.unsignedPayload = true;
+          break;
+
+        case '--chunked':
+          this.options.chunked = true;
+          break;
+
+        case '--chunk-size':
+          const chunkSize = parseInt(this.args[++i]);
+          if (isNaN(chunkSize) || chunkSize < MIN_CHUNK_SIZE) {
+            throw new Error(`--chunk-size must be a number of bytes, at least ${MIN_CHUNK_SIZE}`);
           }
-          this.options.expires = expires;
+          this.options.chunkSize = chunkSize;
           break;
 
         case '--sign-query':
@@ -181,17 +539,86 @@ class ArgumentParser {
           break;
 
         case '--output':
-          this.options.output = this.args[++i];
-          if (!['url', 'curl', 'headers'].includes(this.options.output)) {
-            throw new Error('--output must be one of: url, curl, headers');
+          this.setOutput(this.args[++i]);
+          break;
+
+        case '--listen':
+          this.options.listen = this.args[++i];
+          parseListenAddress(this.options.listen);
+          break;
+
+        case '--upstream':
+          this.options.upstream = this.args[++i];
+          break;
+
+        case '--format':
+          this.options.batchFormat = this.args[++i];
+          if (!BATCH_FORMATS.includes(this.options.batchFormat)) {
+            throw new Error(`--format must be one of: ${BATCH_FORMATS.join(', ')}`);
           }
           break;
 
+        case '--shell':
+          this.setShell(this.args[++i]);
+          break;
+
+        case '--explain':
+          this.options.explain = true;
+          break;
+
+        case '--key-prefix':
+          this.options.keyPrefix = this.args[++i];
+          break;
+
+        case '--content-length-range':
+          const range = (this.args[++i] || '').split(',').map((value) => parseInt(value));
+          if (range.length !== 2 || range.some(isNaN) || range[0] < 0 || range[0] > range[1]) {
+            throw new Error('--content-length-range must be two byte counts in the form MIN,MAX');
+          }
+          this.options.contentLengthRange = range;
+          break;
+
+        case '--field':
+          this.parseField(this.args[++i]);
+          break;
+
+        case '--condition':
+          this.parseCondition(this.args[++i]);
+          break;
+
+        case '--send':
+          this.options.send = true;
+          break;
+
+        case '-i':
+        case '--include':
+          this.options.include = true;
+          break;
+
+        case '-o':
+        case '--output-file':
+          this.options.outputFile = this.args[++i];
+          break;
+
         case '-v':
         case '--verbose':
           this.options.verbose = true;
           break;
 
+        case '--redact':
+          this.options.redact = true;
+          break;
+
+        case '--no-redact':
+          this.options.redact = false;
+          break;
+
+        case '--config':
+        case '--preset':
+          // Already applied before parsing the other flags
+          i++;
+          break;
+
         default:
           if (arg.startsWith('-')) {
             throw new Error(`Unknown option: ${arg}`);
@@ -205,15 +632,286 @@ class ArgumentParser {
       i++;
     }
 
-    if (!this.url) {
-      console.error('Error: URL is required');
+    if (this.options.command === 'curl') {
+      this.importCurl(this.url);
+    }
+
+    this.url = this.url || this.options.upstream || this.configUrl;
+    // batch reads its manifest from stdin when no file is given; the repl
+    // takes URLs as it goes
+    if (!this.url && !URL_OPTIONAL_COMMANDS.includes(this.options.command)) {
+      console.error(this.options.command === 'proxy' ? 'Error: --upstream is required' : 'Error: URL is required');
       console.log('\nRun "aws4-cli --help" for usage information.');
       process.exit(1);
     }
 
+    this.checkRoleOptions();
+    this.checkCredentialSources();
+    this.warnIncompleteKeys();
+    this.checkClockOptions();
+
+    if (this.options.callerIdentity && this.options.command !== 'whoami') {
+      throw new Error('--caller-identity can only be used with the whoami command');
+    }
+
+    if (this.options.chunked && !this.options.send) {
+      throw new Error('--chunked can only be used together with --send');
+    }
+    if (this.options.chunked && this.options.signQuery) {
+      throw new Error('--chunked requires header signing and cannot be combined with --sign-query');
+    }
+
+    this.loadBody();
+
     return { url: this.url, options: this.options };
   }
 
+  findOptionValue(name) {
+    const index = this.args.indexOf(name);
+    if (index === -1) {
+      return undefined;
+    }
+    if (this.args[index + 1] === undefined) {
+      throw new Error(`${name} requires a value`);
+    }
+    return this.args[index + 1];
+  }
+
+  applyConfig(configPath, presetName) {
+    const config = loadConfig({ configPath });
+    this.applyConfigOptions(config.defaults, 'defaults', true);
+    if (presetName !== undefined) {
+      this.applyConfigOptions(getPreset(config, presetName), `preset "${presetName}"`, false);
+    }
+
+    if (this.options.verbose || this.args.includes('-v') || this.args.includes('--verbose')) {
+      config.files.forEach((file) => console.error(`Using config file: ${file}`));
+    }
+  }
+
+  // Config values use the DEFAULT_OPTIONS names, plus "url" and "body"
+  applyConfigOptions(values, source, isDefaults) {
+    if (typeof values !== 'object' || values === null || Array.isArray(values)) {
+      throw new Error(`Invalid config ${source}: expected an object`);
+    }
+
+    for (const [key, value] of Object.entries(values)) {
+      if (!CONFIG_KEYS.includes(key)) {
+        throw new Error(`Unknown option "${key}" in config ${source}. Supported options: ${CONFIG_KEYS.join(', ')}`);
+      }
+
+      switch (key) {
+        case 'url':
+          // Used when no URL is given on the command line
+          this.configUrl = value;
+          break;
+
+        case 'headers':
+          if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+            throw new Error(`Invalid config ${source}: "headers" must be an object of header names to values`);
+          }
+          Object.assign(this.options.headers, value);
+          break;
+
+        case 'body':
+          // JSON bodies can be written inline; strings follow --data-binary
+          this.parseData(typeof value === 'string' ? value : JSON.stringify(value), true);
+          break;
+
+        case 'expires':
+          this.setExpires(value);
+          break;
+
+        case 'duration':
+          this.setDuration(value);
+          break;
+
+        case 'output':
+          this.setOutput(value);
+          break;
+
+        case 'shell':
+          this.setShell(value);
+          break;
+
+        case 'method':
+          this.options.method = value;
+          this.options.explicitMethod = true;
+          break;
+
+        case 'region':
+          // A default region is a fallback like AWS_REGION: the region of a
+          // regional host wins over it. Presets name the region of their request.
+          if (isDefaults) {
+            this.options.defaultRegion = value;
+          } else {
+            this.options.region = value;
+          }
+          break;
+
+        case 'regionSet':
+          this.options.regionSet = value;
+          this.options.sigv4a = true;
+          break;
+
+        default:
+          this.options[key] = value;
+      }
+    }
+  }
+
+  // Takes the URL, method, headers and body from a curl command line given as
+  // the argument or on stdin. Flags given to aws4-cli take precedence.
+  importCurl(command) {
+    if (!command || command === '-') {
+      if (this.options.bodyFile && this.options.bodyFile.path === '-') {
+        throw new Error('The curl command and the request body can\'t both be read from stdin');
+      }
+      try {
+        command = fs.readFileSync(0, 'utf8');
+      } catch (error) {
+        throw new Error(`Unable to read the curl command from stdin: ${error.message}`);
+      }
+    }
+
+    const request = parseCurlCommand(command);
+    this.url = request.url;
+
+    if (request.method && !this.options.explicitMethod) {
+      this.options.method = request.method;
+      this.options.explicitMethod = true;
+    }
+
+    const headerNames = Object.keys(this.options.headers).map((name) => name.toLowerCase());
+    for (const [name, value] of Object.entries(request.headers)) {
+      if (!headerNames.includes(name.toLowerCase())) {
+        this.options.headers[name] = value;
+      }
+    }
+
+    if (request.data && this.options.body === undefined && !this.options.bodyFile) {
+      if (request.data.raw) {
+        this.options.body = request.data.value;
+      } else {
+        this.parseData(request.data.value, request.data.binary);
+      }
+    }
+
+    if (this.options.verbose) {
+      console.error(`Imported curl command: ${this.options.method} ${this.url}`);
+    }
+  }
+
+  setExpires(value) {
+    const expires = parseInt(value);
+    if (isNaN(expires) || expires < 1 || expires > 604800) {
+      throw new Error('--expires must be a number between 1 and 604800 (7 days)');
+    }
+    this.options.expires = expires;
+  }
+
+  setDuration(value) {
+    const duration = parseInt(value);
+    if (isNaN(duration) || duration < MIN_DURATION || duration > MAX_DURATION) {
+      throw new Error(`--duration must be a number of seconds between ${MIN_DURATION} and ${MAX_DURATION} (12 hours)`);
+    }
+    this.options.duration = duration;
+  }
+
+  checkRoleOptions() {
+    if (!this.options.roleArn) {
+      // whoami --caller-identity calls STS too
+      const option = Object.keys(ROLE_OPTIONS).find((key) => this.options[key] !== undefined &&
+        !(key === 'stsEndpoint' && this.options.command === 'whoami'));
+      if (option) {
+        throw new Error(`${ROLE_OPTIONS[option]} can only be used together with --role-arn`);
+      }
+    }
+    if (this.options.mfaCode !== undefined && !this.options.mfaSerial) {
+      throw new Error('--mfa-code requires --mfa-serial');
+    }
+    if (this.options.stsEndpoint !== undefined) {
+      try {
+        new URL(this.options.stsEndpoint);
+      } catch (error) {
+        throw new Error(`Invalid --sts-endpoint: ${this.options.stsEndpoint}`);
+      }
+    }
+  }
+
+  // Only one source of the signing (or source) credentials can be given
+  checkCredentialSources() {
+    const sources = [
+      (this.args.includes('--access-key') || this.args.includes('--secret-key')) && '--access-key/--secret-key',
+      this.options.credentialProcess !== undefined && '--credential-process',
+      this.options.webIdentityTokenFile !== undefined && '--web-identity-token-file',
+    ].filter(Boolean);
+    if (sources.length > 1) {
+      throw new Error(`${sources.join(' and ')} can't be used together; pick one credential source`);
+    }
+
+    if (this.options.webIdentityTokenFile !== undefined) {
+      if (!this.options.roleArn) {
+        throw new Error('--web-identity-token-file requires --role-arn');
+      }
+      const unsupported = ['externalId', 'mfaSerial'].find((key) => this.options[key] !== undefined);
+      if (unsupported) {
+        throw new Error(`${ROLE_OPTIONS[unsupported]} can't be used with --web-identity-token-file`);
+      }
+    }
+  }
+
+  checkClockOptions() {
+    if (this.options.date && this.options.syncClock) {
+      // An explicit --date overrides a syncClock from a config file
+      if (!this.args.includes('--sync-clock')) {
+        this.options.syncClock = null;
+      } else {
+        throw new Error('--date and --sync-clock can\'t be used together');
+      }
+    }
+    if (this.options.syncClock !== null) {
+      let url;
+      try {
+        url = new URL(this.options.syncClock);
+      } catch (error) {
+        url = null;
+      }
+      if (!url || !['http:', 'https:'].includes(url.protocol)) {
+        throw new Error(`Invalid --sync-clock URL: ${this.options.syncClock}`);
+      }
+    }
+  }
+
+  // Half a key pair isn't used at all: credentials are then resolved as if
+  // neither flag was given
+  warnIncompleteKeys() {
+    if (this.args.includes('--access-key') && !this.options.secretAccessKey) {
+      console.error('Warning: --access-key is ignored without --secret-key (or AWS_SECRET_ACCESS_KEY)');
+    }
+    if (this.args.includes('--secret-key') && !this.options.accessKeyId) {
+      console.error('Warning: --secret-key is ignored without --access-key (or AWS_ACCESS_KEY_ID)');
+    }
+    // The token belongs to the key pair; other sources bring their own
+    if (this.args.includes('--session-token') && !(this.options.accessKeyId && this.options.secretAccessKey)) {
+      console.error('Warning: --session-token is ignored without --access-key and --secret-key');
+    }
+  }
+
+  setOutput(value) {
+    if (!OUTPUT_FORMATS.includes(value)) {
+      throw new Error(`--output must be one of: ${OUTPUT_FORMATS.join(', ')}`);
+    }
+    this.options.output = value;
+  }
+
+  setShell(value) {
+    if (!Object.keys(SHELLS).includes(value)) {
+      throw new Error(`--shell must be one of: ${Object.keys(SHELLS).join(', ')}`);
+    }
+    this.options.shell = value;
+  }
+
   parseHeader(headerString) {
     const colonIndex = headerString.indexOf(':');
     if (colonIndex === -1) {
@@ -225,13 +923,94 @@ class ArgumentParser {
     const value = headerString.slice(colonIndex + 1).trim();
     this.options.headers[name] = value;
   }
+
+  parseField(fieldString) {
+    const equalsIndex = (fieldString || '').indexOf('=');
+    if (equalsIndex < 1) {
+      throw new Error(`Invalid field format: ${fieldString}. Expected format: "name=value"`);
+    }
+    this.options.postFields[fieldString.slice(0, equalsIndex)] = fieldString.slice(equalsIndex + 1);
+  }
+
+  parseCondition(conditionString) {
+    let condition;
+    try {
+      condition = JSON.parse(conditionString);
+    } catch (error) {
+      throw new Error(`Invalid condition: ${conditionString}. Expected a JSON array or object`);
+    }
+    if (typeof condition !== 'object' || condition === null) {
+      throw new Error(`Invalid condition: ${conditionString}. Expected a JSON array or object`);
+    }
+    this.options.postConditions.push(condition);
+  }
+
+  // Follows curl's conventions: "@file" reads the body from a file and "@-" from stdin.
+  // --data strips carriage returns and newlines from file contents, --data-binary keeps them.
+  parseData(value, binary, flag = binary ? '--data-binary' : '--data') {
+    if (value === undefined) {
+      throw new Error(`${flag} requires a value`);
+    }
+
+    if (value.startsWith('@')) {
+      this.options.body = undefined;
+      this.options.bodyFile = { path: value.slice(1), binary };
+    } else {
+      this.options.body = value;
+      this.options.bodyFile = null;
+    }
+  }
+
+  // Reads the body referenced by --data @file / @-. Binary files sent with
+  // --unsigned-payload or --chunked are left on disk and streamed when sending.
+  loadBody() {
+    const bodyFile = this.options.bodyFile;
+    if (!bodyFile || this.options.body !== undefined) {
+      return;
+    }
+
+    const fromStdin = bodyFile.path === '-';
+    const streaming = this.options.unsignedPayload || this.options.chunked;
+    if (bodyFile.binary && streaming && !fromStdin) {
+      return;
+    }
+
+    let data;
+    try {
+      data = fs.readFileSync(fromStdin ? 0 : bodyFile.path);
+    } catch (error) {
+      throw new Error(`Unable to read request body from ${fromStdin ? 'stdin' : bodyFile.path}: ${error.message}`);
+    }
+
+    if (bodyFile.binary) {
+      this.options.body = data;
+    } else {
+      this.options.body = data.toString('utf8').replace(/[\r\n]/g, '');
+    }
+
+    if (fromStdin) {
+      this.options.bodyFile = null;
+    }
+  }
 }
 
 class AWS4CLI {
-  constructor(url, options) {
+  constructor(url, options, { redactor = null, onWarning = null } = {}) {
     this.url = url;
     this.options = options;
     this.requestOptions = {};
+    // Learns the secrets of the credentials once they're resolved
+    this.redactor = redactor;
+    // Warnings are collected for library callers; the CLI prints them as they come
+    this.warnings = [];
+    this.onWarning = onWarning;
+  }
+
+  warn(message) {
+    this.warnings.push(message);
+    if (this.onWarning) {
+      this.onWarning(message);
+    }
   }
 
   parseUrl() {
@@ -240,79 +1019,222 @@ class AWS4CLI {
       this.requestOptions.hostname = parsedUrl.hostname;
       this.requestOptions.path = parsedUrl.pathname + parsedUrl.search;
       this.requestOptions.protocol = parsedUrl.protocol;
+      if (parsedUrl.port) {
+        this.requestOptions.port = parsedUrl.port;
+      }
 
       // Extract service from hostname if not provided
       this.requestOptions.service = this.options.service || this.extractServiceFromHost(parsedUrl.hostname);
+      const endpoint = resolveEndpoint(parsedUrl.hostname);
+      if (endpoint && endpoint.mrap && !this.options.sigv4a) {
+        this.options.sigv4a = true;
+        if (this.options.verbose) {
+          console.error('Multi-Region Access Point detected, signing with SigV4A');
+        }
+      }
+
+      if (!this.requestOptions.service) {
+        this.warn(`Unable to infer the AWS service from "${parsedUrl.hostname}". Pass it with --service, e.g. -s execute-api`);
+      }
+
+      // Extract region from hostname if not explicitly set; AWS_REGION only applies
+      // to hosts that don't determine their region (e.g. non-AWS hosts)
+      this.requestOptions.region = this.options.region ||
+        this.extractRegionFromHost(parsedUrl.hostname) ||
+        this.options.defaultRegion;
+
+    } catch (error) {
+      throw new InvalidUrlError(`Invalid URL: ${this.url}`, { cause: error });
+    }
+  }
+
+  extractServiceFromHost(hostname) {
+    const endpoint = resolveEndpoint(hostname);
+    return endpoint ? endpoint.service : null;
+  }
+
+  extractRegionFromHost(hostname) {
+    const endpoint = resolveEndpoint(hostname);
+    return endpoint ? endpoint.region : null;
+  }
+
+  buildRequestOptions() {
+    this.requestOptions.method = this.options.method;
+    this.requestOptions.headers = { ...this.options.headers };
+
+    if (this.options.body || this.options.bodyFile) {
+      // Chunked bodies are streamed by send(); aws4 must not hash them
+      if (this.options.body && !this.options.chunked) {
+        this.requestOptions.body = this.options.body;
+      }
+      // Set POST method if body is provided and method wasn't explicitly set
+      if (this.options.method === 'GET' && !this.options.explicitMethod) {
+        this.requestOptions.method = 'POST';
+      }
+    }
+
+    // For presigned URLs (url output), always use query string signing.
+    // Requests we send ourselves are signed with headers unless asked otherwise.
+    if ((this.options.output === 'url' && !this.options.send) || this.options.signQuery) {
+      this.requestOptions.signQuery = true;
+    }
+
+    if (this.options.chunked) {
+      const payloadSize = this.getPayloadSize();
+      const contentEncoding = this.requestOptions.headers['Content-Encoding'];
+      this.requestOptions.headers['X-Amz-Content-Sha256'] = STREAMING_PAYLOAD;
+      this.requestOptions.headers['Content-Encoding'] = contentEncoding ? `aws-chunked,${contentEncoding}` : 'aws-chunked';
+      this.requestOptions.headers['X-Amz-Decoded-Content-Length'] = payloadSize.toString();
+      this.requestOptions.headers['Content-Length'] = encodedLength(payloadSize, this.options.chunkSize).toString();
+    } else if (this.options.unsignedPayload) {
+      // Presigned URLs can't carry the header; S3 already signs them with UNSIGNED-PAYLOAD
+      if (!this.requestOptions.signQuery) {
+        this.requestOptions.headers['X-Amz-Content-Sha256'] = UNSIGNED_PAYLOAD;
+      }
+      if (!this.requestOptions.body && this.options.bodyFile) {
+        this.requestOptions.headers['Content-Length'] = this.getPayloadSize().toString();
+      }
+    }
+
+    // aws4 signs with the X-Amz-Date it's given instead of the local time
+    const signingDate = this.getSigningDate();
+    const fixedDate = !this.usesLocalClock();
+    if (fixedDate && !this.requestOptions.signQuery) {
+      Object.keys(this.requestOptions.headers)
+        .filter((name) => name.toLowerCase() === 'x-amz-date')
+        .forEach((name) => delete this.requestOptions.headers[name]);
+      this.requestOptions.headers['X-Amz-Date'] = toAmzDate(signingDate);
+    }
+
+    // Add expiration for presigned URLs
+    if (this.requestOptions.signQuery) {
+      // Calculate expiration timestamp
+      const expirationDate = new Date(signingDate.getTime() + (this.options.expires * 1000));
+
+      // Add X-Amz-Expires to the URL if not already present
+      const url = new URL(this.url);
+      const hasExpires = url.searchParams.has('X-Amz-Expires');
+      if (!hasExpires) {
+        url.searchParams.set('X-Amz-Expires', this.options.expires.toString());
+      }
+      if (fixedDate) {
+        url.searchParams.set('X-Amz-Date', toAmzDate(signingDate));
+      }
+      if (!hasExpires || fixedDate) {
+        this.requestOptions.path = url.pathname + url.search;
+      }
+      
+      if (this.options.verbose) {
+        console.error(`Presigned URL will expire in ${this.options.expires} seconds (${expirationDate.toISOString()})`);
+      }
+    }
+  }
 
-      // Extract region from hostname if not explicitly set
-      this.requestOptions.region = this.options.region || this.extractRegionFromHost(parsedUrl.hostname);
+  // The time requests are signed at: --date, or the local time corrected by --sync-clock
+  getSigningDate() {
+    return this.options.date || this.getClockDate();
+  }
 
-    } catch (error) {
-      console.error(`Invalid URL: ${this.url}`);
-      process.exit(1);
-    }
+  // Now, by the --sync-clock server's clock when there is one
+  getClockDate() {
+    return new Date(Date.now() + (this.options.clockOffset || 0));
   }
 
-  extractServiceFromHost(hostname) {
-    // Handle common AWS service patterns
-    const parts = hostname.split('.');
+  usesLocalClock() {
+    return !this.options.date && !this.options.clockOffset;
+  }
 
-    // Standard service hostname: service.region.amazonaws.com
-    if (parts.length >= 3 && parts[parts.length - 2] === 'amazonaws') {
-      return parts[parts.length - 4];
+  // Measures how far the local clock is off from the --sync-clock server
+  async syncClock() {
+    const { serverDate, offset } = await fetchServerTime(this.options.syncClock);
+    this.options.clockOffset = offset;
+    if (this.options.verbose) {
+      console.error(`Synced clock with ${this.options.syncClock}: server time ${serverDate.toISOString()}, local clock ${describeSkew(offset)} it`);
     }
-    
-    return null;
   }
 
-  extractRegionFromHost(hostname) {
-    const parts = hostname.split('.');
+  // Warns when a response's Date shows that requests are signed with a skewed clock
+  checkClockSkew(response) {
+    if (this.options.date || !response.headers.date) {
+      return;
+    }
+    const serverDate = new Date(response.headers.date);
+    const offset = serverDate.getTime() - this.getSigningDate().getTime();
+    if (Math.abs(offset) > SKEW_WARNING) {
+      const origin = new URL(this.url).origin;
+      console.error(`Warning: The local clock is ${describeSkew(offset)} ${origin}; AWS rejects requests signed more than 15 minutes off.`);
+      console.error(`Fix the system clock, or sign with the server's time using --sync-clock ${origin}`);
+    }
+  }
 
-    // Standard pattern: service.region.amazonaws.com
-    if (parts.length >= 3 && parts[parts.length - 2] === 'amazonaws') {
-      return parts[parts.length - 3];
+  getPayloadSize() {
+    if (this.options.body !== undefined) {
+      return Buffer.byteLength(this.options.body);
+    }
+    if (!this.options.bodyFile) {
+      return 0;
     }
 
-    return null;
+    try {
+      return fs.statSync(this.options.bodyFile.path).size;
+    } catch (error) {
+      throw new Error(`Unable to read request body from ${this.options.bodyFile.path}: ${error.message}`);
+    }
   }
 
-  buildRequestOptions() {
-    this.requestOptions.method = this.options.method;
-    this.requestOptions.headers = { ...this.options.headers };
+  // The credentials to sign with: those of a web identity token, or those of a
+  // credential process, the command line, environment or profile (and a role
+  // assumed with them when --role-arn is given)
+  async resolveCredentials() {
+    // Temporary credentials may still be cached from an earlier run
+    const cacheKey = this.getCacheKey();
+    const cache = cacheKey ? new CredentialCache() : null;
+    if (cache) {
+      const cached = cache.get(cacheKey);
+      if (cached) {
+        this.credentialSource = `credential cache (${this.describeCacheKey()})`;
+        if (this.options.verbose) {
+          console.error(`Using cached credentials for ${this.describeCacheKey()} (expire at ${cached.expiration.toISOString()})`);
+        }
+        this.addSecrets(cached);
+        return cached;
+      }
+    }
 
-    if (this.options.body) {
-      this.requestOptions.body = this.options.body;
-      // Set POST method if body is provided and method wasn't explicitly set
-      if (this.options.method === 'GET' && process.argv.indexOf('-X') === -1 && process.argv.indexOf('--method') === -1) {
-        this.requestOptions.method = 'POST';
+    let credentials;
+    if (this.options.webIdentityTokenFile) {
+      credentials = await this.assumeRoleWithWebIdentity();
+    } else {
+      credentials = await this.resolveSourceCredentials();
+      if (this.options.roleArn) {
+        credentials = await this.assumeRole(credentials);
       }
     }
 
-    // For presigned URLs (url output), always use query string signing
-    if (this.options.output === 'url' || this.options.signQuery) {
-      this.requestOptions.signQuery = true;
+    if (cache) {
+      this.cacheCredentials(cache, cacheKey, credentials);
     }
+    this.addSecrets(credentials);
+    return credentials;
+  }
 
-    // Add expiration for presigned URLs
-    if (this.requestOptions.signQuery) {
-      // Calculate expiration timestamp
-      const now = new Date();
-      const expirationDate = new Date(now.getTime() + (this.options.expires * 1000));
-      
-      // Add X-Amz-Expires to the URL if not already present
-      const url = new URL(this.url);
-      if (!url.searchParams.has('X-Amz-Expires')) {
-        url.searchParams.set('X-Amz-Expires', this.options.expires.toString());
-        this.requestOptions.path = url.pathname + url.search;
-      }
-      
+  addSecrets({ secretAccessKey, sessionToken }) {
+    if (this.redactor) {
+      this.redactor.addSecret(secretAccessKey);
+      this.redactor.addSecret(sessionToken);
+    }
+  }
+
+  // Sets credentialSource to a description of where the credentials came from
+  async resolveSourceCredentials() {
+    if (this.options.credentialProcess) {
+      this.credentialSource = `credential process (${this.options.credentialProcess})`;
       if (this.options.verbose) {
-        console.error(`Presigned URL will expire in ${this.options.expires} seconds (${expirationDate.toISOString()})`);
+        console.error(`Using credentials from credential process: ${this.options.credentialProcess}`);
       }
+      return runCredentialProcess(this.options.credentialProcess);
     }
-  }
 
-  async resolveCredentials() {
     // If explicit credentials are provided via command line, use them
     if (this.options.accessKeyId && this.options.secretAccessKey) {
       const credentials = {
@@ -320,12 +1242,16 @@ class AWS4CLI {
         secretAccessKey: this.options.secretAccessKey
       };
 
-      if (this.options.sessionToken) {
+      // AWS_SESSION_TOKEN belongs to the environment's keys, not to a key
+      // pair given on the command line
+      const fromEnvironment = this.options.accessKeyId === process.env.AWS_ACCESS_KEY_ID;
+      if (this.options.sessionToken && (fromEnvironment || this.options.explicitSessionToken)) {
         credentials.sessionToken = this.options.sessionToken;
       }
 
+      this.credentialSource = fromEnvironment ? 'environment variables' : 'command line arguments';
       if (this.options.verbose) {
-        console.error('Using credentials from command line arguments');
+        console.error(`Using credentials from ${this.credentialSource}`);
       }
 
       return credentials;
@@ -340,6 +1266,8 @@ class AWS4CLI {
         if (this.options.verbose) {
           console.error(`Using AWS profile: ${this.options.profile}`);
         }
+      } else if (this.options.verbose) {
+        console.error('Using the AWS SDK default credential provider chain');
       }
 
       // Create credential provider with proper configuration
@@ -358,8 +1286,10 @@ class AWS4CLI {
         delete process.env.AWS_PROFILE;
       }
 
+      const sdkSource = describeSdkSource(credentials);
+      this.credentialSource = this.options.profile ? `profile ${this.options.profile} (${sdkSource})` : sdkSource;
       if (this.options.verbose) {
-        console.error(`Successfully resolved credentials using AWS SDK`);
+        console.error(`Successfully resolved credentials using AWS SDK from ${this.credentialSource}`);
         if (credentials.sessionToken) {
           console.error('Using temporary credentials (assumed role or session token)');
           console.error('Presigned URL will include X-Amz-Security-Token parameter');
@@ -369,7 +1299,8 @@ class AWS4CLI {
       return {
         accessKeyId: credentials.accessKeyId,
         secretAccessKey: credentials.secretAccessKey,
-        sessionToken: credentials.sessionToken
+        sessionToken: credentials.sessionToken,
+        expiration: credentials.expiration
       };
 
     } catch (error) {
@@ -381,34 +1312,194 @@ class AWS4CLI {
         delete process.env.AWS_PROFILE;
       }
 
-      console.error('Error: Failed to resolve AWS credentials.');
-      console.error(`Details: ${error.message}`);
-      console.error('\nPlease ensure you have configured your AWS credentials using one of:');
-      console.error('  - AWS credentials file (~/.aws/credentials)');
-      console.error('  - Environment variables (AWS_ACCESS_KEY_ID, AWS_SECRET_ACCESS_KEY)');
-      console.error('  - Command line arguments (--access-key, --secret-key)');
-      console.error('  - AWS SSO');
-      console.error('  - EC2 instance profile');
-      console.error('  - ECS task role');
-
+      const hint = [
+        'Please ensure you have configured your AWS credentials using one of:',
+        '  - AWS credentials file (~/.aws/credentials)',
+        '  - Environment variables (AWS_ACCESS_KEY_ID, AWS_SECRET_ACCESS_KEY)',
+        '  - Command line arguments (--access-key, --secret-key)',
+        '  - AWS SSO',
+        '  - EC2 instance profile',
+        '  - ECS task role',
+      ];
       if (this.options.profile) {
-        console.error(`\nMake sure the profile "${this.options.profile}" exists and is properly configured.`);
-        console.error('For assume role profiles, ensure the role ARN and source profile are correct.');
+        hint.push(
+          '',
+          `Make sure the profile "${this.options.profile}" exists and is properly configured.`,
+          'For assume role profiles, ensure the role ARN and source profile are correct.'
+        );
       }
 
-      process.exit(1);
+      throw new CredentialsError(`Failed to resolve AWS credentials: ${error.message}`, {
+        hint: hint.join('\n'),
+        cause: error
+      });
     }
   }
 
-  async sign() {
-    const credentials = await this.resolveCredentials();
+  // The STS endpoint roles are assumed with and the region its requests are signed for
+  getStsEndpoint() {
+    const region = this.options.region || this.requestOptions.region || this.options.defaultRegion || 'us-east-1';
+    if (!this.options.stsEndpoint) {
+      return { endpoint: defaultStsEndpoint(region), region };
+    }
+    const hostRegion = this.extractRegionFromHost(new URL(this.options.stsEndpoint).hostname);
+    return { endpoint: this.options.stsEndpoint, region: hostRegion || region };
+  }
+
+  // Calls STS AssumeRole with the source credentials
+  async assumeRole(sourceCredentials) {
+    const { endpoint, region } = this.getStsEndpoint();
+    const roleSessionName = this.options.roleSessionName || DEFAULT_ROLE_SESSION_NAME;
+    const tokenCode = this.options.mfaSerial ? this.options.mfaCode || await this.promptMfaCode() : undefined;
+
+    if (this.options.verbose) {
+      console.error(`Assuming role ${this.options.roleArn} as session ${roleSessionName} via ${endpoint}`);
+    }
+
+    const credentials = await assumeRole(sourceCredentials, {
+      endpoint,
+      region,
+      roleArn: this.options.roleArn,
+      roleSessionName,
+      externalId: this.options.externalId,
+      durationSeconds: this.options.duration,
+      serialNumber: this.options.mfaSerial,
+      tokenCode,
+      // STS needs the current time, even when requests are signed at --date
+      date: this.options.clockOffset ? this.getClockDate() : undefined
+    });
+
+    if (this.options.verbose) {
+      console.error(`Assumed role ${this.options.roleArn} (credentials expire at ${credentials.expiration ? credentials.expiration.toISOString() : 'unknown'})`);
+    }
+    this.credentialSource = `role ${this.options.roleArn} assumed with ${this.credentialSource}`;
+    return credentials;
+  }
+
+  // Exchanges the OIDC token in --web-identity-token-file for credentials of --role-arn
+  async assumeRoleWithWebIdentity() {
+    const file = this.options.webIdentityTokenFile;
+    let webIdentityToken;
+    try {
+      webIdentityToken = fs.readFileSync(file, 'utf8').trim();
+    } catch (error) {
+      throw new CredentialsError(`Unable to read web identity token from ${file}: ${error.message}`, { cause: error });
+    }
+
+    const { endpoint, region } = this.getStsEndpoint();
+    const roleSessionName = this.options.roleSessionName || DEFAULT_ROLE_SESSION_NAME;
+    if (this.options.verbose) {
+      console.error(`Using web identity token from ${file} to assume role ${this.options.roleArn} as session ${roleSessionName} via ${endpoint}`);
+    }
+
+    this.credentialSource = `role ${this.options.roleArn} assumed with web identity token ${file}`;
+    const credentials = await assumeRoleWithWebIdentity({
+      endpoint,
+      region,
+      roleArn: this.options.roleArn,
+      roleSessionName,
+      webIdentityToken,
+      durationSeconds: this.options.duration
+    });
+
+    if (this.options.verbose) {
+      console.error(`Assumed role ${this.options.roleArn} (credentials expire at ${credentials.expiration ? credentials.expiration.toISOString() : 'unknown'})`);
+    }
+    return credentials;
+  }
+
+  promptMfaCode() {
+    if (!process.stdin.isTTY) {
+      return Promise.reject(new InvalidOptionError('--mfa-code is required with --mfa-serial when stdin is not a terminal'));
+    }
+
+    const rl = readline.createInterface({ input: process.stdin, output: process.stderr });
+    return new Promise((resolve, reject) => {
+      rl.question(`MFA code for ${this.options.mfaSerial}: `, (answer) => {
+        rl.close();
+        const code = answer.trim();
+        if (!MFA_CODE_PATTERN.test(code)) {
+          reject(new InvalidOptionError('The MFA code must be 6 digits'));
+          return;
+        }
+        resolve(code);
+      });
+    });
+  }
+
+  // Where resolveCredentials() keeps its result in the credential cache, or
+  // null when it isn't cached. Only profiles and assumed roles are cached:
+  // without them the chain may pick up environment credentials, which can
+  // change between runs. Credential processes and web identity tokens (new
+  // for every CI job) are left to their issuer.
+  getCacheKey() {
+    if (!this.options.cache || this.options.webIdentityTokenFile) {
+      return null;
+    }
+    const explicitKeys = Boolean(this.options.accessKeyId && this.options.secretAccessKey);
+    if (this.options.roleArn) {
+      let source = explicitKeys ? this.options.accessKeyId : this.options.profile;
+      if (this.options.credentialProcess) {
+        source = `credential_process ${this.options.credentialProcess}`;
+      }
+      return JSON.stringify({
+        roleArn: this.options.roleArn,
+        roleSessionName: this.options.roleSessionName || DEFAULT_ROLE_SESSION_NAME,
+        externalId: this.options.externalId,
+        mfaSerial: this.options.mfaSerial,
+        stsEndpoint: this.options.stsEndpoint,
+        source
+      });
+    }
+    return explicitKeys || this.options.credentialProcess ? null : this.options.profile || null;
+  }
+
+  describeCacheKey() {
+    return this.options.roleArn ? `role ${this.options.roleArn}` : `profile ${this.options.profile}`;
+  }
+
+  cacheCredentials(cache, cacheKey, credentials) {
+    try {
+      if (cache.set(cacheKey, credentials) && this.options.verbose) {
+        console.error(`Cached credentials for ${this.describeCacheKey()} until ${new Date(credentials.expiration).toISOString()}`);
+      }
+    } catch (error) {
+      // The credentials are still good for this run
+      this.warn(`Unable to cache credentials in ${cache.dir}: ${error.message}`);
+    }
+  }
+
+  async sign(resolvedCredentials) {
+    if (this.options.sigv4a) {
+      this.checkSigV4ASupport();
+    }
+
+    const credentials = resolvedCredentials || await this.resolveCredentials();
+    this.credentials = credentials;
 
     try {
-      const signedOptions = aws4.sign(this.requestOptions, credentials);
+      const signedOptions = this.options.sigv4a
+        ? sigv4a.sign(this.requestOptions, credentials, this.options.regionSet || '*')
+        : aws4.sign(this.requestOptions, credentials);
       return signedOptions;
     } catch (error) {
-      console.error(`Error signing request: ${error.message}`);
-      process.exit(1);
+      throw new SigningError(`Failed to sign request: ${error.message}`, { cause: error });
+    }
+  }
+
+  checkSigV4ASupport() {
+    const unsupported = [];
+    if (['debug', 'post', 'post-html'].includes(this.options.output)) {
+      unsupported.push(`--output ${this.options.output}`);
+    }
+    if (this.options.explain) {
+      unsupported.push('--explain');
+    }
+    if (this.options.chunked) {
+      unsupported.push('--chunked');
+    }
+    if (unsupported.length > 0) {
+      throw new Error(`SigV4A signing doesn't support ${unsupported.join(', ')}`);
     }
   }
 
@@ -418,6 +1509,20 @@ class AWS4CLI {
         return this.formatCurl(signedOptions);
       case 'headers':
         return this.formatHeaders(signedOptions);
+      case 'json':
+        return this.formatJson(signedOptions);
+      case 'post':
+      case 'post-html':
+        return this.formatPostPolicy();
+      case 'debug':
+        return this.formatDebug(signedOptions);
+      case 'httpie':
+      case 'wget':
+      case 'powershell':
+      case 'fetch':
+      case 'python-requests':
+      case 'raw':
+        return FORMATTERS[this.options.output](this.describeRequest(signedOptions), SHELLS[this.options.shell]);
       case 'url':
       default:
         return this.formatUrl(signedOptions);
@@ -432,12 +1537,18 @@ class AWS4CLI {
     return output.trim();
   }
 
-  formatUrl(signedOptions) {
+  formatBaseUrl(signedOptions) {
     const protocol = signedOptions.protocol || 'https:';
     const hostname = signedOptions.hostname || signedOptions.host;
+    const port = signedOptions.port ? `:${signedOptions.port}` : '';
     const path = signedOptions.path || '/';
-    const sessionToken = this.options.sessionToken || '';
-    const url = `${protocol}//${hostname}${path}${sessionToken ? `&X-Amz-Security-Token=${sessionToken}` : ''}`;
+    return `${protocol}//${hostname}${port}${path}`;
+  }
+
+  // The session token of temporary credentials, whatever their source, is
+  // already part of the signed query (or headers)
+  formatUrl(signedOptions) {
+    const url = this.formatBaseUrl(signedOptions);
 
     if (this.options.verbose && this.requestOptions.signQuery) {
       console.error('Generated presigned URL with query parameters:');
@@ -448,6 +1559,7 @@ class AWS4CLI {
         'X-Amz-Date',
         'X-Amz-Expires',
         'X-Amz-SignedHeaders',
+        'X-Amz-Region-Set',
         'X-Amz-Security-Token',
         'X-Amz-Signature'
       ];
@@ -462,35 +1574,531 @@ class AWS4CLI {
     return url;
   }
 
+  // The signed request in the shape the FORMATTERS take. Bodies read with -d
+  // @file had newlines stripped, so only --data-binary files are referenced.
+  describeRequest(signedOptions) {
+    const bodyFile = this.options.bodyFile && this.options.bodyFile.binary ? this.options.bodyFile : null;
+    return {
+      method: signedOptions.method || 'GET',
+      url: this.formatBaseUrl(signedOptions),
+      headers: signedOptions.headers || {},
+      body: bodyFile ? undefined : signedOptions.body,
+      bodyFile
+    };
+  }
+
+  formatJson(signedOptions) {
+    const url = this.formatUrl(signedOptions);
+    const headers = signedOptions.headers || {};
+    const signature = parseSignature(url, headers);
+    const signedAt = parseAmzDate(signature.amzDate);
+    const expiresAt = this.getExpiresAt(signature);
+
+    return JSON.stringify({
+      url,
+      method: signedOptions.method || 'GET',
+      headers,
+      bodyHash: this.getPayloadHash(signedOptions),
+      algorithm: signature.algorithm,
+      credentialScope: signature.credential.split('/').slice(1).join('/'),
+      signedHeaders: signature.signedHeaders.split(';'),
+      signature: signature.signature,
+      signedAt: signedAt.toISOString(),
+      expiresAt
+    }, null, 2);
+  }
+
+  getExpiresAt(signature) {
+    if (signature.expires === undefined) {
+      return null;
+    }
+    return new Date(parseAmzDate(signature.amzDate).getTime() + signature.expires * 1000).toISOString();
+  }
+
+  // The payload hash that went into the canonical request, picked the same way aws4 does
+  getPayloadHash(signedOptions) {
+    // S3 presigned URLs are signed with UNSIGNED-PAYLOAD whatever the headers say
+    if (signedOptions.signQuery && signedOptions.service === 's3') {
+      return UNSIGNED_PAYLOAD;
+    }
+    const headers = signedOptions.headers || {};
+    const contentSha256 = Object.keys(headers).find((name) => name.toLowerCase() === 'x-amz-content-sha256');
+    if (contentSha256) {
+      return headers[contentSha256];
+    }
+    return hash(signedOptions.body || '');
+  }
+
+  formatDebug(signedOptions) {
+    return formatExplanation(explainSignature(signedOptions, this.credentials));
+  }
+
+  // Presigned POST policies are signed with the SigV4 signing key directly;
+  // they don't go through aws4 since there's no request to sign.
+  formatPostPolicy() {
+    const { bucket, key, action } = parseS3Location(this.url);
+    const { fields } = buildPostPolicy({
+      bucket,
+      key,
+      keyPrefix: this.options.keyPrefix,
+      region: this.requestOptions.region || 'us-east-1',
+      credentials: this.credentials,
+      expires: this.options.expires,
+      date: this.getSigningDate(),
+      fields: this.options.postFields,
+      conditions: this.options.postConditions,
+      contentLengthRange: this.options.contentLengthRange
+    });
+
+    if (this.options.verbose) {
+      console.error(`Generated presigned POST policy for bucket ${bucket}`);
+      console.error(`Form action: ${action}`);
+    }
+
+    if (this.options.output === 'post-html') {
+      return formatPostForm(action, fields);
+    }
+    return JSON.stringify({ url: action, fields }, null, 2);
+  }
+
   formatCurl(signedOptions) {
-    const protocol = signedOptions.protocol || 'https:';
-    const hostname = signedOptions.hostname || signedOptions.host;
-    const path = signedOptions.path || '/';
-    const url = `${protocol}//${hostname}${path}`;
+    return formatCurl({
+      method: signedOptions.method || 'GET',
+      url: this.formatBaseUrl(signedOptions),
+      headers: signedOptions.headers || {},
+      body: signedOptions.body,
+      bodyFile: this.options.bodyFile
+    }, SHELLS[this.options.shell || 'posix']);
+  }
 
-    let curlCmd = `curl -X ${signedOptions.method || 'GET'}`;
+  // Sends the signed request and streams the response to stdout (or --output-file).
+  // Resolves with the response status code.
+  send(signedOptions) {
+    const transport = signedOptions.protocol === 'http:' ? http : https;
 
-    // Add headers
-    for (const [key, value] of Object.entries(signedOptions.headers || {})) {
-      curlCmd += ` \\\n  -H "${key}: ${value}"`;
+    if (this.options.verbose) {
+      console.error(`Sending ${signedOptions.method || 'GET'} request to ${this.formatBaseUrl(signedOptions)}`);
+    }
+
+    return new Promise((resolve, reject) => {
+      const request = transport.request({
+        protocol: signedOptions.protocol,
+        hostname: signedOptions.hostname || signedOptions.host,
+        port: signedOptions.port,
+        path: signedOptions.path,
+        method: signedOptions.method || 'GET',
+        headers: signedOptions.headers
+      }, (response) => {
+        if (this.options.verbose) {
+          console.error(`Response: ${response.statusCode} ${response.statusMessage}`);
+        }
+        this.checkClockSkew(response);
+
+        const destination = this.options.outputFile
+          ? fs.createWriteStream(this.options.outputFile)
+          : process.stdout;
+
+        if (this.options.include) {
+          let head = `HTTP/${response.httpVersion} ${response.statusCode} ${response.statusMessage}\r\n`;
+          for (let i = 0; i < response.rawHeaders.length; i += 2) {
+            head += `${response.rawHeaders[i]}: ${response.rawHeaders[i + 1]}\r\n`;
+          }
+          destination.write(`${head}\r\n`);
+        }
+
+        response.on('error', reject);
+        destination.on('error', reject);
+
+        if (destination === process.stdout) {
+          response.pipe(destination, { end: false });
+          response.on('end', () => resolve(response.statusCode));
+        } else {
+          response.pipe(destination);
+          destination.on('finish', () => resolve(response.statusCode));
+        }
+      });
+
+      request.on('error', reject);
+
+      const payload = this.createPayloadStream(signedOptions);
+      if (payload) {
+        payload.on('error', reject);
+        payload.pipe(request);
+      } else {
+        if (signedOptions.body) {
+          request.write(signedOptions.body);
+        }
+        request.end();
+      }
+    });
+  }
+
+  // Returns a stream for bodies that aren't sent from memory as-is: files left
+  // on disk by --unsigned-payload and anything sent with --chunked.
+  createPayloadStream(signedOptions) {
+    const inMemory = this.options.body !== undefined;
+    if (!this.options.chunked && (inMemory || !this.options.bodyFile)) {
+      return null;
+    }
+
+    const source = inMemory || !this.options.bodyFile
+      ? Readable.from(inMemory ? [Buffer.from(this.options.body)] : [])
+      : fs.createReadStream(this.options.bodyFile.path);
+
+    if (!this.options.chunked) {
+      return source;
+    }
+
+    // Chunk signatures chain off the seed signature in the Authorization header
+    const authorization = signedOptions.headers.Authorization;
+    const [, scope] = authorization.match(/Credential=[^/]+\/([^,]+)/);
+    const [, seedSignature] = authorization.match(/Signature=([0-9a-f]{64})/);
+    const [date, region, service] = scope.split('/');
+
+    const signer = new ChunkSigner({
+      signingKey: getSigningKey(this.credentials.secretAccessKey, date, region, service),
+      datetime: signedOptions.headers['X-Amz-Date'] || signedOptions.headers['x-amz-date'],
+      scope,
+      seedSignature,
+      chunkSize: this.options.chunkSize
+    });
+
+    if (this.options.verbose) {
+      console.error(`Streaming aws-chunked payload in ${this.options.chunkSize} byte chunks`);
+    }
+
+    source.on('error', (error) => signer.destroy(error));
+    return source.pipe(signer);
+  }
+
+  async verify() {
+    this.parseUrl();
+    const credentials = await this.resolveCredentials();
+
+    const report = verifySignature({
+      url: this.url,
+      method: this.options.method,
+      headers: this.options.headers,
+      body: this.options.body,
+      credentials,
+      service: this.options.service || this.requestOptions.service,
+      region: this.options.region || this.requestOptions.region,
+      now: this.getSigningDate()
+    });
+
+    if (this.options.verbose) {
+      console.error('Calculated canonical request:');
+      console.error(report.canonicalRequest);
+      console.error('\nCalculated string to sign:');
+      console.error(report.stringToSign);
+      console.error('');
+    }
+
+    console.log(this.formatVerifyReport(report));
+
+    if (!report.valid) {
+      process.exitCode = 1;
+    }
+  }
+
+  // Signs every request of a manifest as a presigned URL with one set of
+  // credentials. A failing line is reported in its result and the exit code
+  // instead of ending the batch.
+  async batch() {
+    const fromStdin = !this.url || this.url === '-';
+    const format = this.options.batchFormat || detectFormat(fromStdin ? null : this.url);
+
+    let text;
+    try {
+      text = fs.readFileSync(fromStdin ? 0 : this.url, 'utf8');
+    } catch (error) {
+      throw new Error(`Unable to read manifest from ${fromStdin ? 'stdin' : this.url}: ${error.message}`);
+    }
+
+    const entries = parseManifest(text, format);
+    const credentials = await this.resolveCredentials();
+
+    const header = formatResultHeader(format);
+    if (header) {
+      console.log(header);
+    }
+
+    let failed = 0;
+    for (const entry of entries) {
+      const result = entry.error ? entry : await this.signBatchEntry(entry, credentials);
+      if (result.error) {
+        failed++;
+      }
+      console.log(formatResult(result, format));
+    }
+
+    if (this.options.verbose) {
+      console.error(`Signed ${entries.length - failed} of ${entries.length} requests`);
+    }
+    if (failed > 0) {
+      console.error(`${failed} of ${entries.length} requests failed`);
+      process.exitCode = 1;
+    }
+  }
+
+  async signBatchEntry({ line, request }, credentials) {
+    const { url, ...overrides } = request;
+    const cli = new AWS4CLI(url, {
+      ...this.options,
+      ...overrides,
+      headers: { ...this.options.headers, ...overrides.headers },
+      explicitMethod: this.options.explicitMethod || overrides.method !== undefined,
+      output: 'url',
+      send: false,
+      verbose: false
+    }, { onWarning: this.onWarning });
+
+    try {
+      cli.parseUrl();
+      cli.buildRequestOptions();
+      const signedOptions = await cli.sign(credentials);
+      const signedUrl = cli.formatUrl(signedOptions);
+      return {
+        line,
+        url: signedUrl,
+        method: signedOptions.method || 'GET',
+        headers: signedOptions.headers,
+        expiresAt: this.getExpiresAt(parseSignature(signedUrl, signedOptions.headers))
+      };
+    } catch (error) {
+      return { line, error: error.message };
+    }
+  }
+
+  async proxy() {
+    const { host, port } = parseListenAddress(this.options.listen);
+    this.parseUrl();
+    if (!this.requestOptions.service) {
+      throw new Error('--service is required when it can\'t be inferred from the upstream host');
+    }
+    const proxy = new SigningProxy({
+      upstream: this.url,
+      sign: (request, credentials) => this.signRequest(request, credentials),
+      resolveCredentials: () => this.resolveCredentials(),
+      verbose: this.options.verbose
+    });
+
+    // Resolve credentials up front so configuration problems show at startup
+    await proxy.getCredentials();
+    const address = await proxy.listen(port, host);
+    const listenHost = address.family === 'IPv6' || address.family === 6 ? `[${address.address}]` : address.address;
+    console.error(`Signing proxy listening on http://${listenHost}:${address.port}, forwarding to ${this.url}`);
+    return proxy;
+  }
+
+  // Signs a request for the proxy or whoami with header signing; the service
+  // and region default to those of this command's URL. These requests are
+  // sent now, so they're signed at the current time even with --date.
+  signRequest({ url, method, headers, body, service, region }, credentials) {
+    const cli = new AWS4CLI(url, {
+      ...this.options,
+      date: null,
+      service: service || this.requestOptions.service,
+      region: region || this.requestOptions.region,
+      method,
+      explicitMethod: true,
+      headers,
+      body,
+      bodyFile: null,
+      output: 'headers',
+      signQuery: false,
+      verbose: false
+    });
+    cli.parseUrl();
+    cli.buildRequestOptions();
+    return cli.sign(credentials);
+  }
+
+  // aws4-cli cache clear [--profile NAME]
+  clearCache() {
+    if (this.url !== 'clear') {
+      throw new Error(`Unknown cache command: ${this.url || '(none)'}. Usage: aws4-cli cache clear [--profile <PROFILE>]`);
+    }
+
+    const cache = new CredentialCache();
+    const profile = this.options.explicitProfile ? this.options.profile : undefined;
+    const removed = cache.clear(profile);
+    const scope = profile !== undefined ? ` for profile ${profile}` : '';
+    console.log(`Removed ${removed} cached credential${removed === 1 ? '' : 's'}${scope} from ${cache.dir}`);
+  }
+
+  // aws4-cli whoami [--caller-identity]
+  async whoami() {
+    const credentials = await this.resolveCredentials();
+    const report = {
+      source: this.credentialSource,
+      accessKeyId: maskAccessKeyId(credentials.accessKeyId),
+      temporary: Boolean(credentials.sessionToken),
+      expiration: credentials.expiration ? new Date(credentials.expiration) : null
+    };
+
+    if (this.options.callerIdentity) {
+      const { endpoint, region } = this.getStsEndpoint();
+      if (this.options.verbose) {
+        console.error(`Calling GetCallerIdentity via ${endpoint}`);
+      }
+      report.identity = await getCallerIdentity(credentials, {
+        endpoint,
+        region,
+        sign: (request, requestCredentials) => this.signRequest({ ...request, service: 'sts', region }, requestCredentials)
+      });
+    }
+
+    console.log(this.formatWhoami(report));
+  }
+
+  formatWhoami(report) {
+    const lines = [`Credentials from ${report.source}`];
+    lines.push(`  Access key ID:  ${report.accessKeyId}`);
+    lines.push(`  Temporary:      ${report.temporary ? 'yes (session token)' : 'no'}`);
+    if (report.expiration) {
+      const remaining = this.formatTimeLeft(report.expiration.getTime() - Date.now());
+      lines.push(`  Expires at:     ${report.expiration.toISOString()} (${remaining})`);
+    } else {
+      lines.push(`  Expires at:     ${report.temporary ? 'unknown' : 'never'}`);
+    }
+
+    if (report.identity) {
+      lines.push(`  Account:        ${report.identity.account}`);
+      lines.push(`  ARN:            ${report.identity.arn}`);
+      lines.push(`  User ID:        ${report.identity.userId}`);
+    }
+
+    return lines.join('\n');
+  }
+
+  formatTimeLeft(milliseconds) {
+    const minutes = Math.round(milliseconds / 60000);
+    if (minutes <= 0) {
+      return 'expired';
     }
+    let count = minutes;
+    let unit = 'minute';
+    if (minutes >= 48 * 60) {
+      count = Math.round(minutes / (24 * 60));
+      unit = 'day';
+    } else if (minutes >= 120) {
+      count = Math.round(minutes / 60);
+      unit = 'hour';
+    }
+    return `in ${count} ${unit}${count === 1 ? '' : 's'}`;
+  }
+
+  async repl() {
+    const session = new ReplSession({
+      baseUrl: this.url,
+      state: {
+        headers: this.options.headers,
+        body: this.options.body,
+        service: this.options.service,
+        region: this.options.region,
+        output: this.options.output,
+        send: this.options.send
+      },
+      outputFormats: OUTPUT_FORMATS,
+      execute: (request, credentials) => this.runReplRequest(request, credentials),
+      resolveCredentials: () => this.resolveCredentials(),
+      // Only keep history for what's typed, not for piped scripts
+      historyFile: process.stdin.isTTY ? HISTORY_FILE : null
+    });
+
+    if (process.stdin.isTTY) {
+      console.error('aws4-cli interactive mode. Type "help" for commands, "exit" or Ctrl-D to leave.');
+    }
+    await session.start();
+  }
+
+  // Each request typed in the repl is signed by its own AWS4CLI
+  async runReplRequest({ url, method, headers, body, service, region, output, send }, credentials) {
+    const cli = new AWS4CLI(url, {
+      ...this.options,
+      method,
+      explicitMethod: true,
+      headers,
+      body,
+      bodyFile: null,
+      service,
+      region,
+      output,
+      send
+    }, { onWarning: this.onWarning });
+    cli.parseUrl();
+    cli.buildRequestOptions();
+    const signedOptions = await cli.sign(credentials);
+
+    if (this.options.explain) {
+      console.error(cli.formatDebug(signedOptions));
+      console.error('');
+    }
+
+    if (send) {
+      await cli.send(signedOptions);
+      // The response body doesn't necessarily end with a newline
+      return '';
+    }
+    return cli.formatOutput(signedOptions);
+  }
 
-    // Add session token if present
-    if (this.options.sessionToken) {
-      curlCmd += ` \\\n  -H "x-amz-security-token: ${this.options.sessionToken}"`;
+  formatVerifyReport(report) {
+    const lines = [];
+
+    if (report.valid) {
+      lines.push('Signature is valid');
+    } else if (report.signatureMatches && report.expired) {
+      lines.push('Signature matches, but the URL has expired');
+    } else if (report.signatureMatches) {
+      lines.push('Signature matches, but AWS will reject it: X-Amz-Date is more than 15 minutes off (RequestTimeTooSkewed)');
+    } else {
+      lines.push('Signature does NOT match');
     }
 
-    // Add body if present
-    if (signedOptions.body) {
-      curlCmd += ` \\\n  -d '${signedOptions.body}'`;
+    lines.push(`  Provided signature:   ${report.providedSignature}`);
+    lines.push(`  Calculated signature: ${report.calculatedSignature}`);
+    lines.push(`  Access key ID:        ${report.accessKeyId}`);
+    lines.push(`  Credential scope:     ${report.credentialScope}`);
+    lines.push(`  Signed headers:       ${report.signedHeaders}`);
+    lines.push(`  Signed at:            ${report.signedAt.toISOString()}`);
+    if (report.expiresAt) {
+      lines.push(`  Expires at:           ${report.expiresAt.toISOString()}${report.expired ? ' (expired)' : ''}`);
     }
 
-    curlCmd += ` \\\n  "${url}"`;
+    if (report.problems.length > 0) {
+      lines.push('Problems:');
+      report.problems.forEach((problem) => lines.push(`  - ${problem}`));
+    }
 
-    return curlCmd;
+    return lines.join('\n');
   }
 
   async run() {
+    if (this.options.syncClock) {
+      await this.syncClock();
+    }
+
+    if (this.options.command === 'verify') {
+      return this.verify();
+    }
+    if (this.options.command === 'batch') {
+      return this.batch();
+    }
+    if (this.options.command === 'proxy') {
+      return this.proxy();
+    }
+    if (this.options.command === 'repl') {
+      return this.repl();
+    }
+    if (this.options.command === 'cache') {
+      return this.clearCache();
+    }
+    if (this.options.command === 'whoami') {
+      return this.whoami();
+    }
+
     if (this.options.verbose) {
       console.error(`Signing URL: ${this.url}`);
       if (this.options.profile) {
@@ -503,7 +2111,11 @@ class AWS4CLI {
 
     if (this.options.verbose) {
       console.error(`Service: ${this.requestOptions.service}`);
-      console.error(`Region: ${this.requestOptions.region}`);
+      if (this.options.sigv4a) {
+        console.error(`Region set: ${this.options.regionSet || '*'} (SigV4A)`);
+      } else {
+        console.error(`Region: ${this.requestOptions.region}`);
+      }
       console.error(`Method: ${this.options.method}`);
       console.error(`Output format: ${this.options.output}`);
       if (this.requestOptions.signQuery) {
@@ -513,6 +2125,21 @@ class AWS4CLI {
     }
 
     const signedOptions = await this.sign();
+
+    if (this.options.explain) {
+      console.error(this.formatDebug(signedOptions));
+      console.error('');
+    }
+
+    if (this.options.send) {
+      const statusCode = await this.send(signedOptions);
+      // Like curl --fail, report HTTP errors through the exit code
+      if (statusCode >= 400) {
+        process.exitCode = 22;
+      }
+      return;
+    }
+
     const output = this.formatOutput(signedOptions);
 
     console.log(output);
@@ -532,16 +2159,38 @@ async function main() {
     const parser = new ArgumentParser();
     const { url, options } = parser.parse();
 
-    const cli = new AWS4CLI(url, options);
+    // --redact masks secrets everywhere; verbose logs are masked unless --no-redact
+    const redactor = new Redactor([options.secretAccessKey, options.sessionToken]);
+    if (options.redact) {
+      redactStream(process.stdout, redactor);
+    }
+    if (options.redact || (options.verbose && options.redact !== false)) {
+      redactStream(process.stderr, redactor);
+    }
+
+    const cli = new AWS4CLI(url, options, {
+      redactor,
+      onWarning: (message) => console.error(`Warning: ${message}`)
+    });
     await cli.run();
   } catch (error) {
     console.error(`Error: ${error.message}`);
+    if (error.hint) {
+      console.error(`\n${error.hint}`);
+    }
     process.exit(1);
   }
 }
 
 
-if (process.env.NODE_ENV !== 'test') {
+module.exports = {
+  ArgumentParser,
+  AWS4CLI,
+  DEFAULT_OPTIONS,
+  OUTPUT_FORMATS,
+};
+
+if (require.main === module) {
   main();
 
     // Handle uncaught errors gracefully
@@ -555,11 +2204,4 @@ if (process.env.NODE_ENV !== 'test') {
     process.exit(1);
   });
 
-} else {
-  // Export classes for testing
-  module.exports = {
-    ArgumentParser,
-    AWS4CLI,
-    DEFAULT_OPTIONS,
-  };
 }
@@ -0,0 +1,136 @@
+const { URL } = require('url');
+const { resolveEndpoint } = require('./endpoints');
+const { hmac, getSigningKey } = require('./sigv4');
+const { toAmzDate } = require('./clock');
+
+// https://docs.aws.amazon.com/AmazonS3/latest/API/sigv4-HTTPPOSTConstructPolicy.html
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/"/g, '&quot;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+// Splits an S3 URL into bucket, object key and the form action URL.
+// Handles both virtual-hosted (bucket.s3.amazonaws.com/key) and path-style (s3.amazonaws.com/bucket/key) URLs.
+function parseS3Location(url) {
+  const parsedUrl = new URL(url);
+  const path = decodeURIComponent(parsedUrl.pathname).replace(/^\//, '');
+  const endpoint = resolveEndpoint(parsedUrl.hostname);
+
+  if (endpoint && endpoint.bucket) {
+    return {
+      bucket: endpoint.bucket,
+      key: path,
+      action: `${parsedUrl.origin}/`
+    };
+  }
+
+  const [bucket, ...keyParts] = path.split('/');
+  if (!bucket) {
+    throw new Error(`Unable to determine the S3 bucket from URL: ${url}`);
+  }
+  return {
+    bucket,
+    key: keyParts.join('/'),
+    action: `${parsedUrl.origin}/${bucket}/`
+  };
+}
+
+// Builds and signs a POST policy. Returns the policy document and the form
+// fields a browser has to submit alongside the file.
+function buildPostPolicy({
+  bucket,
+  key,
+  keyPrefix,
+  region,
+  credentials,
+  expires,
+  date = new Date(),
+  fields = {},
+  conditions = [],
+  contentLengthRange
+}) {
+  const amzDate = toAmzDate(date);
+  const scope = `${amzDate.slice(0, 8)}/${region}/s3/aws4_request`;
+
+  const formFields = {};
+  const policyConditions = [{ bucket }];
+
+  if (keyPrefix !== undefined) {
+    formFields.key = key || `${keyPrefix}\${filename}`;
+    policyConditions.push(['starts-with', '$key', keyPrefix]);
+  } else if (key && key.includes('${filename}')) {
+    // S3 substitutes ${filename} before evaluating conditions, so only the prefix can be pinned
+    formFields.key = key;
+    policyConditions.push(['starts-with', '$key', key.slice(0, key.indexOf('${filename}'))]);
+  } else if (key) {
+    formFields.key = key;
+    policyConditions.push({ key });
+  } else {
+    formFields.key = '${filename}';
+    policyConditions.push(['starts-with', '$key', '']);
+  }
+
+  for (const [name, value] of Object.entries(fields)) {
+    formFields[name] = value;
+    policyConditions.push({ [name]: value });
+  }
+
+  if (contentLengthRange) {
+    policyConditions.push(['content-length-range', contentLengthRange[0], contentLengthRange[1]]);
+  }
+
+  policyConditions.push(...conditions);
+
+  formFields['x-amz-algorithm'] = 'AWS4-HMAC-SHA256';
+  formFields['x-amz-credential'] = `${credentials.accessKeyId}/${scope}`;
+  formFields['x-amz-date'] = amzDate;
+  policyConditions.push(
+    { 'x-amz-algorithm': formFields['x-amz-algorithm'] },
+    { 'x-amz-credential': formFields['x-amz-credential'] },
+    { 'x-amz-date': amzDate }
+  );
+
+  if (credentials.sessionToken) {
+    formFields['x-amz-security-token'] = credentials.sessionToken;
+    policyConditions.push({ 'x-amz-security-token': credentials.sessionToken });
+  }
+
+  const policy = {
+    expiration: new Date(date.getTime() + (expires * 1000)).toISOString(),
+    conditions: policyConditions
+  };
+
+  const encodedPolicy = Buffer.from(JSON.stringify(policy)).toString('base64');
+  const signingKey = getSigningKey(credentials.secretAccessKey, amzDate.slice(0, 8), region, 's3');
+
+  formFields.policy = encodedPolicy;
+  formFields['x-amz-signature'] = hmac(signingKey, encodedPolicy, 'hex');
+
+  return { policy, fields: formFields };
+}
+
+// Renders a ready-to-use upload form. The file input has to come last: S3
+// ignores any field after it.
+function formatPostForm(action, fields) {
+  const inputs = Object.entries(fields).map(([name, value]) =>
+    `  <input type="hidden" name="${escapeHtml(name)}" value="${escapeHtml(value)}" />`
+  );
+
+  return [
+    `<form action="${escapeHtml(action)}" method="post" enctype="multipart/form-data">`,
+    ...inputs,
+    '  <input type="file" name="file" />',
+    '  <input type="submit" value="Upload" />',
+    '</form>'
+  ].join('\n');
+}
+
+module.exports = {
+  parseS3Location,
+  buildPostPolicy,
+  formatPostForm,
+};
@@ -0,0 +1,159 @@
+const http = require('http');
+const https = require('https');
+const { pipeline } = require('stream');
+const { URL } = require('url');
+const { RefreshingCredentials } = require('./credentials');
+
+// Connection-level headers that apply to a single hop and aren't forwarded
+const HOP_BY_HOP_HEADERS = [
+  'connection',
+  'keep-alive',
+  'proxy-authenticate',
+  'proxy-authorization',
+  'proxy-connection',
+  'te',
+  'trailer',
+  'transfer-encoding',
+  'upgrade',
+];
+
+// Request headers the signature replaces; Host and Content-Length are set
+// again for the upstream request when it's signed
+const REPLACED_HEADERS = ['host', 'content-length', 'authorization', 'x-amz-date', 'x-amz-security-token'];
+
+function parseListenAddress(value) {
+  const match = /^(?:\[([^\]]+)\]|([^:]*)):(\d+)$/.exec(value) || /^()()(\d+)$/.exec(value);
+  const port = match ? parseInt(match[3]) : NaN;
+  if (!match || port > 65535) {
+    throw new Error(`Invalid --listen address "${value}". Expected HOST:PORT or PORT, e.g. 127.0.0.1:8080`);
+  }
+  return { host: match[1] || match[2] || '127.0.0.1', port };
+}
+
+function filterHeaders(headers, excluded) {
+  const filtered = {};
+  for (const [name, value] of Object.entries(headers)) {
+    if (!excluded.includes(name.toLowerCase())) {
+      filtered[name] = value;
+    }
+  }
+  return filtered;
+}
+
+// Accepts plain HTTP requests, signs them for the upstream endpoint and
+// streams the upstream response back. Signing is delegated to `sign`, which
+// takes { url, method, headers, body } and credentials and returns the
+// signed request options.
+class SigningProxy {
+  constructor({ upstream, sign, resolveCredentials, verbose = false }) {
+    this.upstream = new URL(upstream);
+    this.sign = sign;
+    this.verbose = verbose;
+    this.credentials = new RefreshingCredentials(resolveCredentials, {
+      onRefresh: () => {
+        if (verbose) {
+          console.error('Refreshing temporary credentials');
+        }
+      }
+    });
+    this.server = http.createServer((request, response) => this.handle(request, response));
+  }
+
+  listen(port, host) {
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, () => {
+        this.server.removeListener('error', reject);
+        resolve(this.server.address());
+      });
+    });
+  }
+
+  close() {
+    return new Promise((resolve) => this.server.close(() => resolve()));
+  }
+
+  // Credentials are resolved once and again shortly before they expire
+  getCredentials() {
+    return this.credentials.get();
+  }
+
+  upstreamUrl(path) {
+    const basePath = this.upstream.pathname.replace(/\/$/, '');
+    return `${this.upstream.protocol}//${this.upstream.host}${basePath}${path}`;
+  }
+
+  readBody(request) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      request.on('data', (chunk) => chunks.push(chunk));
+      request.on('end', () => resolve(Buffer.concat(chunks)));
+      request.on('error', reject);
+    });
+  }
+
+  async handle(request, response) {
+    const url = this.upstreamUrl(request.url);
+
+    let signedOptions;
+    try {
+      const body = await this.readBody(request);
+      const credentials = await this.getCredentials();
+      signedOptions = await this.sign({
+        url,
+        method: request.method,
+        headers: filterHeaders(request.headers, [...HOP_BY_HOP_HEADERS, ...REPLACED_HEADERS]),
+        body: body.length > 0 ? body : undefined
+      }, credentials);
+    } catch (error) {
+      this.fail(response, request, `Unable to sign request: ${error.message}`);
+      return;
+    }
+
+    const transport = signedOptions.protocol === 'http:' ? http : https;
+    const upstreamRequest = transport.request({
+      protocol: signedOptions.protocol,
+      hostname: signedOptions.hostname || signedOptions.host,
+      port: signedOptions.port,
+      path: signedOptions.path,
+      method: signedOptions.method,
+      headers: signedOptions.headers
+    }, (upstreamResponse) => {
+      if (this.verbose) {
+        console.error(`${request.method} ${request.url} -> ${upstreamResponse.statusCode}`);
+      }
+      response.writeHead(
+        upstreamResponse.statusCode,
+        upstreamResponse.statusMessage,
+        filterHeaders(upstreamResponse.headers, HOP_BY_HOP_HEADERS)
+      );
+      // A dropped upstream connection drops the client's too, instead of
+      // leaving it waiting for the rest of the body
+      pipeline(upstreamResponse, response, (error) => {
+        if (error) {
+          this.fail(response, request, `Upstream response failed: ${error.message}`);
+        }
+      });
+    });
+
+    upstreamRequest.on('error', (error) => {
+      this.fail(response, request, `Upstream request failed: ${error.message}`);
+    });
+    upstreamRequest.end(signedOptions.body);
+  }
+
+  fail(response, request, message) {
+    console.error(`${request.method} ${request.url}: ${message}`);
+    if (response.headersSent) {
+      response.destroy();
+      return;
+    }
+    response.writeHead(502, { 'Content-Type': 'text/plain; charset=utf-8' });
+    response.end(`${message}\n`);
+  }
+}
+
+module.exports = {
+  parseListenAddress,
+  SigningProxy,
+};
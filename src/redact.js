@@ -0,0 +1,71 @@
+// Masks secrets in text written to the terminal: signatures, session tokens,
+// signing keys and the secret values of the credentials in use. Values are
+// replaced in place, so URLs, headers and commands keep their shape.
+
+const REDACTED = '[REDACTED]';
+
+// Each pattern keeps its first group (the name) and masks what follows it
+const PATTERNS = [
+  // X-Amz-Signature=, Signature= in Authorization, "signature": in JSON,
+  // x-amz-signature form fields and the signatures of verify reports
+  /((?:x-amz-)?signature["']?\s*[=:]\s*["']?)[0-9a-f]{16,}/gi,
+  // The X-Amz-Security-Token header, query parameter or form field, in any of
+  // the output formats and in canonical requests
+  /(security-token["']?\s*[=:]\s*["']?)[^\s&'"<>,;]+/gi,
+  // HTML forms of presigned POST policies
+  /(name="x-amz-(?:signature|security-token)"\s+value=")[^"]*/gi,
+  // Signing key derivation and signature of debug output
+  /(=\s*HMAC\([^)]*\)\s*=\s*)[0-9a-f]+/g,
+];
+
+// The base64 policy of a presigned POST form carries the session token
+const POLICY_PATTERN = /((?:["']?policy["']?\s*:\s*["'])|(?:name="policy"\s+value="))([A-Za-z0-9+/=]+)/gi;
+
+class Redactor {
+  constructor(secrets = []) {
+    this.secrets = new Set();
+    secrets.forEach((secret) => this.addSecret(secret));
+  }
+
+  // Secrets are masked wherever they appear, also URL-encoded
+  addSecret(secret) {
+    if (typeof secret !== 'string' || secret.length < 8) {
+      return;
+    }
+    this.secrets.add(secret);
+    this.secrets.add(encodeURIComponent(secret));
+  }
+
+  redact(text) {
+    let redacted = text;
+    // Longest first, so a secret is masked before any secret it contains
+    [...this.secrets].sort((a, b) => b.length - a.length).forEach((secret) => {
+      redacted = redacted.split(secret).join(REDACTED);
+    });
+    PATTERNS.forEach((pattern) => {
+      redacted = redacted.replace(pattern, `$1${REDACTED}`);
+    });
+    redacted = redacted.replace(POLICY_PATTERN, (match, name, policy) => {
+      const decoded = Buffer.from(policy, 'base64').toString('utf8');
+      return this.containsSecret(decoded) ? `${name}${REDACTED}` : match;
+    });
+    return redacted;
+  }
+
+  containsSecret(text) {
+    return [...this.secrets].some((secret) => text.includes(secret));
+  }
+}
+
+// Redacts what's written to a stream as text. Buffers, such as the response
+// bodies --send pipes to stdout, are written unchanged.
+function redactStream(stream, redactor) {
+  const write = stream.write.bind(stream);
+  stream.write = (chunk, ...args) => write(typeof chunk === 'string' ? redactor.redact(chunk) : chunk, ...args);
+}
+
+module.exports = {
+  REDACTED,
+  Redactor,
+  redactStream,
+};
@@ -0,0 +1,430 @@
+// Interactive shell for trying out requests: headers, body, service, region
+// and output are kept between requests, and credentials are resolved once.
+
+const fs = require('fs');
+const readline = require('readline');
+const { URL } = require('url');
+const { RefreshingCredentials } = require('./credentials');
+
+const METHODS = ['GET', 'HEAD', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'];
+
+const REPL_COMMANDS = [
+  'header', 'unheader', 'headers', 'body', 'target', 'url', 'service', 'region',
+  'output', 'send', 'show', 'reset', 'help', 'exit', 'quit',
+];
+
+const HEADER_NAMES = [
+  'Accept', 'Content-Type', 'X-Amz-Target', 'X-Amz-Content-Sha256', 'X-Amz-Meta-', 'Range',
+  'If-Match', 'If-None-Match', 'Cache-Control', 'Content-Encoding',
+];
+
+// JSON protocol services select the operation with X-Amz-Target and expect
+// a matching application/x-amz-json-1.x Content-Type
+const KNOWN_TARGETS = {
+  DynamoDB_20120810: {
+    jsonVersion: '1.0',
+    operations: [
+      'ListTables', 'DescribeTable', 'CreateTable', 'DeleteTable', 'GetItem', 'PutItem', 'UpdateItem',
+      'DeleteItem', 'Query', 'Scan', 'BatchGetItem', 'BatchWriteItem',
+    ],
+  },
+  DynamoDBStreams_20120810: {
+    jsonVersion: '1.0',
+    operations: ['ListStreams', 'DescribeStream', 'GetShardIterator', 'GetRecords'],
+  },
+  AmazonSQS: {
+    jsonVersion: '1.0',
+    operations: [
+      'ListQueues', 'GetQueueUrl', 'GetQueueAttributes', 'SendMessage', 'ReceiveMessage', 'DeleteMessage',
+      'PurgeQueue',
+    ],
+  },
+  AWSStepFunctions: {
+    jsonVersion: '1.0',
+    operations: ['ListStateMachines', 'DescribeStateMachine', 'StartExecution', 'DescribeExecution', 'ListExecutions'],
+  },
+  Kinesis_20131202: {
+    jsonVersion: '1.1',
+    operations: [
+      'ListStreams', 'DescribeStream', 'DescribeStreamSummary', 'ListShards', 'PutRecord', 'PutRecords',
+      'GetShardIterator', 'GetRecords',
+    ],
+  },
+  Logs_20140328: {
+    jsonVersion: '1.1',
+    operations: [
+      'DescribeLogGroups', 'DescribeLogStreams', 'FilterLogEvents', 'GetLogEvents', 'PutLogEvents',
+      'StartQuery', 'GetQueryResults',
+    ],
+  },
+  secretsmanager: {
+    jsonVersion: '1.1',
+    operations: ['ListSecrets', 'DescribeSecret', 'GetSecretValue', 'PutSecretValue', 'CreateSecret'],
+  },
+  AmazonSSM: {
+    jsonVersion: '1.1',
+    operations: ['GetParameter', 'GetParameters', 'GetParametersByPath', 'PutParameter', 'DescribeParameters'],
+  },
+  TrentService: {
+    jsonVersion: '1.1',
+    operations: ['ListKeys', 'ListAliases', 'DescribeKey', 'Encrypt', 'Decrypt', 'GenerateDataKey'],
+  },
+  AmazonEC2ContainerRegistry_V20150921: {
+    jsonVersion: '1.1',
+    operations: ['DescribeRepositories', 'DescribeImages', 'ListImages', 'GetAuthorizationToken'],
+  },
+  AWSEvents: {
+    jsonVersion: '1.1',
+    operations: ['ListEventBuses', 'ListRules', 'DescribeRule', 'PutEvents'],
+  },
+};
+
+const TARGET_NAMES = Object.entries(KNOWN_TARGETS)
+  .flatMap(([prefix, { operations }]) => operations.map((operation) => `${prefix}.${operation}`));
+
+const HISTORY_SIZE = 500;
+
+const REPL_HELP = `
+  <METHOD> [PATH|URL]       Sign a request, e.g. "GET /" or "POST /prod/items"; paths are
+                            appended to the base URL
+  header <Name>: <value>    Set a header for the following requests
+  unheader <Name>           Remove a header
+  headers                   List the headers
+  body <DATA>|@FILE         Set the request body ("body" on its own clears it)
+  target <TARGET>           Set X-Amz-Target and the matching JSON Content-Type,
+                            e.g. "target DynamoDB_20120810.ListTables" (tab completes)
+  url <URL>                 Set the base URL
+  service [NAME]            Set the service ("service" on its own detects it from the URL)
+  region [NAME]             Set the region ("region" on its own detects it from the URL)
+  output <FORMAT>           Set the output format, e.g. curl, headers or json
+  send on|off               Send requests and print the response instead of the output
+  show                      Show the session settings
+  reset                     Clear headers and body
+  help                      Show this help
+  exit, quit                Leave (or press Ctrl-D)
+`;
+
+// Returned by evaluate() for exit and quit
+const EXIT = Symbol('exit');
+
+function findHeader(headers, name) {
+  return Object.keys(headers).find((key) => key.toLowerCase() === name.toLowerCase());
+}
+
+// `execute` takes { url, method, headers, body, service, region, output, send }
+// and credentials, signs the request and returns the text to print.
+class ReplSession {
+  constructor({ baseUrl, state = {}, outputFormats, execute, resolveCredentials, historyFile = null }) {
+    this.baseUrl = baseUrl || null;
+    this.headers = { ...state.headers };
+    this.body = state.body;
+    this.service = state.service;
+    this.region = state.region;
+    this.output = state.output || 'url';
+    this.send = Boolean(state.send);
+    this.outputFormats = outputFormats;
+    this.execute = execute;
+    this.credentials = new RefreshingCredentials(resolveCredentials);
+    this.historyFile = historyFile;
+  }
+
+  async start({ input = process.stdin, output = process.stdout } = {}) {
+    const rl = readline.createInterface({
+      input,
+      output,
+      // No prompt in the output of piped scripts
+      prompt: input.isTTY ? 'aws4> ' : '',
+      completer: (line) => this.complete(line),
+      history: this.loadHistory(),
+      historySize: HISTORY_SIZE,
+    });
+
+    // Ctrl-C clears the line being typed; on an empty line it leaves
+    rl.on('SIGINT', () => {
+      if (rl.line) {
+        rl.write(null, { ctrl: true, name: 'u' });
+        output.write('\n');
+        rl.prompt();
+      } else {
+        rl.close();
+      }
+    });
+
+    rl.prompt();
+    for await (const line of rl) {
+      this.saveHistory(line.trim());
+      try {
+        const result = await this.evaluate(line);
+        if (result === EXIT) {
+          break;
+        }
+        if (result !== undefined) {
+          console.log(result);
+        }
+      } catch (error) {
+        console.error(`Error: ${error.message}`);
+        if (error.hint) {
+          console.error(error.hint);
+        }
+      }
+      rl.prompt();
+    }
+    rl.close();
+  }
+
+  // Runs one line and returns the text to print, if any
+  async evaluate(line) {
+    const text = line.trim();
+    if (text === '' || text.startsWith('#')) {
+      return undefined;
+    }
+
+    const spaceIndex = text.search(/\s/);
+    const word = spaceIndex === -1 ? text : text.slice(0, spaceIndex);
+    const rest = spaceIndex === -1 ? '' : text.slice(spaceIndex).trim();
+
+    if (METHODS.includes(word.toUpperCase())) {
+      return this.request(word.toUpperCase(), rest);
+    }
+
+    switch (word) {
+      case 'header':
+        return this.setHeader(rest);
+
+      case 'unheader': {
+        const name = findHeader(this.headers, rest);
+        if (!name) {
+          throw new Error(`No header named "${rest}"`);
+        }
+        delete this.headers[name];
+        return undefined;
+      }
+
+      case 'headers':
+        return this.formatHeaders();
+
+      case 'body':
+        return this.setBody(rest);
+
+      case 'target':
+        return this.setTarget(rest);
+
+      case 'url':
+        if (rest) {
+          this.baseUrl = this.resolveUrl(rest);
+        }
+        return this.baseUrl || '(no base URL)';
+
+      case 'service':
+        this.service = rest || undefined;
+        return undefined;
+
+      case 'region':
+        this.region = rest || undefined;
+        return undefined;
+
+      case 'output':
+        if (rest) {
+          if (!this.outputFormats.includes(rest)) {
+            throw new Error(`output must be one of: ${this.outputFormats.join(', ')}`);
+          }
+          this.output = rest;
+        }
+        return this.output;
+
+      case 'send':
+        if (rest !== 'on' && rest !== 'off') {
+          throw new Error('Expected "send on" or "send off"');
+        }
+        this.send = rest === 'on';
+        return undefined;
+
+      case 'show':
+        return this.formatState();
+
+      case 'reset':
+        this.headers = {};
+        this.body = undefined;
+        return undefined;
+
+      case 'help':
+        return REPL_HELP.replace(/^\n|\n$/g, '');
+
+      case 'exit':
+      case 'quit':
+        return EXIT;
+
+      default:
+        throw new Error(`Unknown command: ${word}. Type "help" for the list of commands`);
+    }
+  }
+
+  async request(method, target) {
+    const credentials = await this.credentials.get();
+    return this.execute({
+      url: this.resolveUrl(target),
+      method,
+      headers: { ...this.headers },
+      body: this.body,
+      service: this.service,
+      region: this.region,
+      output: this.output,
+      send: this.send,
+    }, credentials);
+  }
+
+  // Full URLs are used as they are; paths and queries are appended to the
+  // base URL's path, like the proxy does
+  resolveUrl(target) {
+    if (/^https?:\/\//i.test(target)) {
+      return new URL(target).toString();
+    }
+    if (!this.baseUrl) {
+      throw new Error('No base URL. Give a full URL or set one with "url <URL>"');
+    }
+
+    if (!target) {
+      return this.baseUrl;
+    }
+
+    const base = new URL(this.baseUrl);
+    const basePath = base.pathname.replace(/\/$/, '');
+    return `${base.protocol}//${base.host}${basePath}${/^[/?]/.test(target) ? '' : '/'}${target}`;
+  }
+
+  setHeader(value) {
+    const colonIndex = value.indexOf(':');
+    if (colonIndex < 1) {
+      throw new Error('Expected "header Name: value"');
+    }
+    const name = value.slice(0, colonIndex).trim();
+    const existing = findHeader(this.headers, name);
+    if (existing) {
+      delete this.headers[existing];
+    }
+    this.headers[name] = value.slice(colonIndex + 1).trim();
+    return undefined;
+  }
+
+  setBody(value) {
+    if (!value) {
+      this.body = undefined;
+    } else if (value.startsWith('@')) {
+      try {
+        this.body = fs.readFileSync(value.slice(1));
+      } catch (error) {
+        throw new Error(`Unable to read request body from ${value.slice(1)}: ${error.message}`);
+      }
+    } else {
+      this.body = value;
+    }
+    return undefined;
+  }
+
+  // Known targets also set the Content-Type, and an empty JSON body so the
+  // next request is a valid call
+  setTarget(target) {
+    if (!target) {
+      throw new Error('Expected "target <TARGET>", e.g. target DynamoDB_20120810.ListTables');
+    }
+    this.setHeader(`X-Amz-Target: ${target}`);
+
+    const known = KNOWN_TARGETS[target.split('.')[0]];
+    if (known) {
+      this.setHeader(`Content-Type: application/x-amz-json-${known.jsonVersion}`);
+      if (this.body === undefined) {
+        this.body = '{}';
+      }
+    }
+    return undefined;
+  }
+
+  formatHeaders() {
+    const entries = Object.entries(this.headers);
+    if (entries.length === 0) {
+      return '(no headers)';
+    }
+    return entries.map(([name, value]) => `${name}: ${value}`).join('\n');
+  }
+
+  formatState() {
+    let body = '(none)';
+    if (this.body !== undefined) {
+      const size = Buffer.byteLength(this.body);
+      body = Buffer.isBuffer(this.body) || size > 200 ? `${size} bytes` : this.body;
+    }
+
+    const lines = [
+      `url:      ${this.baseUrl || '(none)'}`,
+      `service:  ${this.service || '(from URL)'}`,
+      `region:   ${this.region || '(from URL)'}`,
+      `output:   ${this.output}`,
+      `send:     ${this.send ? 'on' : 'off'}`,
+      `body:     ${body}`,
+      'headers:',
+    ];
+    Object.entries(this.headers).forEach(([name, value]) => lines.push(`  ${name}: ${value}`));
+    return lines.join('\n');
+  }
+
+  // readline completer: returns [completions, the text they replace]
+  complete(line) {
+    const match = (candidates, prefix) => {
+      const hits = candidates.filter((candidate) => candidate.toLowerCase().startsWith(prefix.toLowerCase()));
+      return [hits, prefix];
+    };
+
+    const targetValue = /^(?:target\s+|header\s+x-amz-target:\s*)(\S*)$/i.exec(line);
+    if (targetValue) {
+      return match(TARGET_NAMES, targetValue[1]);
+    }
+
+    const words = line.split(/\s+/);
+    if (words.length === 1) {
+      return match([...REPL_COMMANDS, ...METHODS], words[0]);
+    }
+    if (words.length === 2) {
+      switch (words[0]) {
+        case 'header':
+          return match(HEADER_NAMES.map((name) => (name.endsWith('-') ? name : `${name}:`)), words[1]);
+        case 'unheader':
+          return match(Object.keys(this.headers), words[1]);
+        case 'output':
+          return match(this.outputFormats, words[1]);
+        case 'send':
+          return match(['on', 'off'], words[1]);
+      }
+    }
+    return [[], line];
+  }
+
+  // History is kept in a file, oldest first; readline wants it newest first
+  loadHistory() {
+    if (!this.historyFile) {
+      return [];
+    }
+    try {
+      const lines = fs.readFileSync(this.historyFile, 'utf8').split('\n').filter((line) => line !== '');
+      return lines.slice(-HISTORY_SIZE).reverse();
+    } catch (error) {
+      return [];
+    }
+  }
+
+  saveHistory(line) {
+    if (!this.historyFile || line === '') {
+      return;
+    }
+    try {
+      fs.appendFileSync(this.historyFile, `${line}\n`, { mode: 0o600 });
+    } catch (error) {
+      // History is a convenience; don't interrupt the session over it
+    }
+  }
+}
+
+module.exports = {
+  EXIT,
+  KNOWN_TARGETS,
+  ReplSession,
+};
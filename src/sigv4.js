@@ -0,0 +1,26 @@
+const crypto = require('crypto');
+
+// Low-level AWS Signature Version 4 primitives shared by the signing modes
+// that aws4 doesn't cover (chunked uploads, POST policies, verification, ...).
+
+function hash(data, encoding = 'hex') {
+  return crypto.createHash('sha256').update(data).digest(encoding);
+}
+
+function hmac(key, data, encoding) {
+  return crypto.createHmac('sha256', key).update(data).digest(encoding);
+}
+
+// Derives the signing key: HMAC chain over date, region, service and "aws4_request"
+function getSigningKey(secretAccessKey, date, region, service) {
+  const kDate = hmac(`AWS4${secretAccessKey}`, date);
+  const kRegion = hmac(kDate, region);
+  const kService = hmac(kRegion, service);
+  return hmac(kService, 'aws4_request');
+}
+
+module.exports = {
+  hash,
+  hmac,
+  getSigningKey,
+};
@@ -0,0 +1,126 @@
+const aws4 = require('aws4');
+const crypto = require('crypto');
+const { hash, hmac } = require('./sigv4');
+
+// SigV4A: the canonical request of SigV4, signed with an ECDSA P-256 key that
+// is derived from the secret access key and valid for a set of regions.
+// https://docs.aws.amazon.com/IAM/latest/UserGuide/reference_sigv-create-signed-request.html#derive-signing-key-sigv4a
+
+const ALGORITHM = 'AWS4-ECDSA-P256-SHA256';
+
+// Order of the P-256 curve
+const CURVE_ORDER = BigInt('0xFFFFFFFF00000000FFFFFFFFFFFFFFFFBCE6FAADA7179E84F3B9CAC2FC632551');
+
+// DER framing of a P-256 key in SEC1 (private) and SPKI (public) form, so the
+// keys can be loaded without JWK support (Node < 15.12)
+const SEC1_PREFIX = Buffer.from('30770201010420', 'hex');
+const SEC1_CURVE = Buffer.from('a00a06082a8648ce3d030107a144034200', 'hex');
+const SPKI_PREFIX = Buffer.from('3059301306072a8648ce3d020106082a8648ce3d030107034200', 'hex');
+
+const keyCache = new Map();
+
+// NIST SP 800-108 KDF in counter mode with HMAC-SHA256, retried with an
+// incremented counter until the candidate is a valid private key.
+function deriveSigningKey(accessKeyId, secretAccessKey) {
+  const cacheKey = `${accessKeyId}:${secretAccessKey}`;
+  if (keyCache.has(cacheKey)) {
+    return keyCache.get(cacheKey);
+  }
+
+  for (let counter = 1; counter <= 254; counter++) {
+    const fixedInput = Buffer.concat([
+      Buffer.from([0x00, 0x00, 0x00, 0x01]),
+      Buffer.from(ALGORITHM),
+      Buffer.from([0x00]),
+      Buffer.from(accessKeyId),
+      Buffer.from([counter]),
+      Buffer.from([0x00, 0x00, 0x01, 0x00]),
+    ]);
+    const candidate = BigInt(`0x${hmac(`AWS4A${secretAccessKey}`, fixedInput, 'hex')}`);
+    if (candidate > CURVE_ORDER - 2n) {
+      continue;
+    }
+
+    const privateScalar = Buffer.from((candidate + 1n).toString(16).padStart(64, '0'), 'hex');
+    const ecdh = crypto.createECDH('prime256v1');
+    ecdh.setPrivateKey(privateScalar);
+    const publicPoint = ecdh.getPublicKey();
+
+    const keys = {
+      privateKey: crypto.createPrivateKey({
+        key: Buffer.concat([SEC1_PREFIX, privateScalar, SEC1_CURVE, publicPoint]),
+        format: 'der',
+        type: 'sec1',
+      }),
+      publicKey: crypto.createPublicKey({
+        key: Buffer.concat([SPKI_PREFIX, publicPoint]),
+        format: 'der',
+        type: 'spki',
+      }),
+    };
+
+    keyCache.set(cacheKey, keys);
+    return keys;
+  }
+
+  throw new Error('Unable to derive a SigV4A signing key from the supplied credentials');
+}
+
+// Reuses aws4's canonicalisation; only the credential scope (no region),
+// the algorithm name and the signature itself differ from SigV4.
+class SigV4ASigner extends aws4.RequestSigner {
+  constructor(request, credentials, regionSet) {
+    const headers = { ...(request.headers || {}) };
+    if (!request.signQuery) {
+      headers['X-Amz-Region-Set'] = regionSet;
+    }
+    super({ ...request, headers }, credentials);
+    this.regionSet = regionSet;
+  }
+
+  prepareRequest() {
+    super.prepareRequest();
+    if (this.request.signQuery) {
+      this.parsedPath.query['X-Amz-Algorithm'] = ALGORITHM;
+      this.parsedPath.query['X-Amz-Region-Set'] = this.regionSet;
+    }
+  }
+
+  credentialString() {
+    return [this.getDate(), this.service, 'aws4_request'].join('/');
+  }
+
+  stringToSign() {
+    return [
+      ALGORITHM,
+      this.getDateTime(),
+      this.credentialString(),
+      hash(this.canonicalString()),
+    ].join('\n');
+  }
+
+  signature() {
+    const { privateKey } = deriveSigningKey(this.credentials.accessKeyId, this.credentials.secretAccessKey);
+    return crypto.sign('sha256', Buffer.from(this.stringToSign()), privateKey).toString('hex');
+  }
+
+  authHeader() {
+    return [
+      `${ALGORITHM} Credential=${this.credentials.accessKeyId}/${this.credentialString()}`,
+      `SignedHeaders=${this.signedHeaders()}`,
+      `Signature=${this.signature()}`,
+    ].join(', ');
+  }
+}
+
+// Counterpart of aws4.sign() for SigV4A. regionSet is a comma-separated list of regions or "*".
+function sign(request, credentials, regionSet = '*') {
+  return new SigV4ASigner(request, credentials, regionSet).sign();
+}
+
+module.exports = {
+  ALGORITHM,
+  deriveSigningKey,
+  SigV4ASigner,
+  sign,
+};
@@ -0,0 +1,202 @@
+// STS AssumeRole, AssumeRoleWithWebIdentity and GetCallerIdentity over the
+// Query API. AssumeRole is an ordinary SigV4-signed POST, signed with the
+// credentials the role is assumed from; AssumeRoleWithWebIdentity is
+// authenticated by the token alone.
+
+const aws4 = require('aws4');
+const http = require('http');
+const https = require('https');
+const { URL } = require('url');
+const { CredentialsError } = require('./errors');
+const { toAmzDate } = require('./clock');
+
+const STS_VERSION = '2011-06-15';
+
+// A blackholed --sts-endpoint would otherwise hang every signed request
+const STS_TIMEOUT = 30000;
+
+// Role sessions last between 15 minutes and 12 hours (the role's maximum)
+const MIN_DURATION = 900;
+const MAX_DURATION = 43200;
+
+function defaultStsEndpoint(region) {
+  const suffix = region.startsWith('cn-') ? 'amazonaws.com.cn' : 'amazonaws.com';
+  return `https://sts.${region}.${suffix}`;
+}
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+// STS responses are small and flat; the first element with the name wins
+function xmlValue(xml, name) {
+  const match = new RegExp(`<${name}>([^<]*)</${name}>`).exec(xml);
+  if (!match) {
+    return undefined;
+  }
+  return match[1].replace(/&(amp|lt|gt|quot|apos);/g, (entity, key) => XML_ENTITIES[key]);
+}
+
+function buildAssumeRoleBody({ roleArn, roleSessionName, externalId, durationSeconds, serialNumber, tokenCode }) {
+  const params = new URLSearchParams({
+    Action: 'AssumeRole',
+    Version: STS_VERSION,
+    RoleArn: roleArn,
+    RoleSessionName: roleSessionName,
+  });
+  if (durationSeconds !== undefined) {
+    params.set('DurationSeconds', String(durationSeconds));
+  }
+  if (externalId !== undefined) {
+    params.set('ExternalId', externalId);
+  }
+  if (serialNumber !== undefined) {
+    params.set('SerialNumber', serialNumber);
+    params.set('TokenCode', tokenCode);
+  }
+  return params.toString();
+}
+
+function buildWebIdentityBody({ roleArn, roleSessionName, webIdentityToken, durationSeconds }) {
+  const params = new URLSearchParams({
+    Action: 'AssumeRoleWithWebIdentity',
+    Version: STS_VERSION,
+    RoleArn: roleArn,
+    RoleSessionName: roleSessionName,
+    WebIdentityToken: webIdentityToken,
+  });
+  if (durationSeconds !== undefined) {
+    params.set('DurationSeconds', String(durationSeconds));
+  }
+  return params.toString();
+}
+
+function post(signedOptions, { timeout = STS_TIMEOUT } = {}) {
+  const transport = signedOptions.protocol === 'http:' ? http : https;
+  return new Promise((resolve, reject) => {
+    const request = transport.request(signedOptions, (response) => {
+      let data = '';
+      response.setEncoding('utf8');
+      response.on('data', (chunk) => { data += chunk; });
+      response.on('end', () => resolve({ statusCode: response.statusCode, body: data }));
+      response.on('error', reject);
+    });
+    request.setTimeout(timeout, () => {
+      request.destroy(new CredentialsError(`no response from STS within ${timeout / 1000} seconds`));
+    });
+    request.on('error', reject);
+    request.end(signedOptions.body);
+  });
+}
+
+// Sends an STS request and resolves with the credentials of its response:
+// { accessKeyId, secretAccessKey, sessionToken, expiration }
+async function requestCredentials(requestOptions, roleArn, accessDeniedHint, timeout) {
+  let response;
+  try {
+    response = await post(requestOptions, { timeout });
+  } catch (error) {
+    throw new CredentialsError(`Failed to assume role ${roleArn}: ${error.message}`, { cause: error });
+  }
+
+  if (response.statusCode !== 200) {
+    const code = xmlValue(response.body, 'Code') || `HTTP ${response.statusCode}`;
+    const message = xmlValue(response.body, 'Message');
+    const hint = ['AccessDenied', 'InvalidIdentityToken'].includes(code) ? accessDeniedHint : undefined;
+    throw new CredentialsError(`Failed to assume role ${roleArn}: ${code}${message ? `: ${message}` : ''}`, { hint });
+  }
+
+  const result = {
+    accessKeyId: xmlValue(response.body, 'AccessKeyId'),
+    secretAccessKey: xmlValue(response.body, 'SecretAccessKey'),
+    sessionToken: xmlValue(response.body, 'SessionToken'),
+    expiration: xmlValue(response.body, 'Expiration'),
+  };
+  if (!result.accessKeyId || !result.secretAccessKey || !result.sessionToken) {
+    throw new CredentialsError(`Failed to assume role ${roleArn}: unexpected STS response`);
+  }
+  result.expiration = result.expiration ? new Date(result.expiration) : undefined;
+  return result;
+}
+
+function stsRequestOptions(endpoint, region, body) {
+  const url = new URL(endpoint || defaultStsEndpoint(region));
+  return {
+    protocol: url.protocol,
+    hostname: url.hostname,
+    port: url.port || undefined,
+    path: url.pathname,
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded; charset=utf-8' },
+    body,
+  };
+}
+
+// `date` is the signing time, for clocks corrected with --sync-clock
+async function assumeRole(credentials, { endpoint, region, date, timeout, ...params }) {
+  const requestOptions = stsRequestOptions(endpoint, region, buildAssumeRoleBody(params));
+  if (date) {
+    requestOptions.headers['X-Amz-Date'] = toAmzDate(date);
+  }
+  const signedOptions = aws4.sign({ ...requestOptions, service: 'sts', region }, credentials);
+
+  return requestCredentials(signedOptions, params.roleArn, [
+    'Check that the base credentials may call sts:AssumeRole on the role, and that the',
+    'role\'s trust policy allows them (including any required --external-id or MFA).',
+  ].join('\n'), timeout);
+}
+
+async function assumeRoleWithWebIdentity({ endpoint, region, timeout, ...params }) {
+  const requestOptions = stsRequestOptions(endpoint, region, buildWebIdentityBody(params));
+  requestOptions.headers['Content-Length'] = Buffer.byteLength(requestOptions.body);
+
+  return requestCredentials(requestOptions, params.roleArn, [
+    'Check that the role\'s trust policy trusts the token\'s identity provider, and allows',
+    'its audience (aud) and subject (sub) with sts:AssumeRoleWithWebIdentity.',
+  ].join('\n'), timeout);
+}
+
+// Signed with `sign`, which takes { url, method, headers, body } and the
+// credentials and returns the signed request options, so that whoami checks
+// the credentials with the signer every other request goes through
+async function getCallerIdentity(credentials, { endpoint, region, sign, timeout }) {
+  const url = new URL(endpoint || defaultStsEndpoint(region));
+  const signedOptions = await sign({
+    url: url.toString(),
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded; charset=utf-8' },
+    body: new URLSearchParams({ Action: 'GetCallerIdentity', Version: STS_VERSION }).toString(),
+  }, credentials);
+
+  let response;
+  try {
+    response = await post(signedOptions, { timeout });
+  } catch (error) {
+    throw new CredentialsError(`GetCallerIdentity failed: ${error.message}`, { cause: error });
+  }
+
+  if (response.statusCode !== 200) {
+    const code = xmlValue(response.body, 'Code') || `HTTP ${response.statusCode}`;
+    const message = xmlValue(response.body, 'Message');
+    throw new CredentialsError(`GetCallerIdentity failed: ${code}${message ? `: ${message}` : ''}`);
+  }
+
+  const identity = {
+    account: xmlValue(response.body, 'Account'),
+    arn: xmlValue(response.body, 'Arn'),
+    userId: xmlValue(response.body, 'UserId'),
+  };
+  if (!identity.arn) {
+    throw new CredentialsError('GetCallerIdentity failed: unexpected STS response');
+  }
+  return identity;
+}
+
+module.exports = {
+  MIN_DURATION,
+  MAX_DURATION,
+  defaultStsEndpoint,
+  buildAssumeRoleBody,
+  buildWebIdentityBody,
+  assumeRole,
+  assumeRoleWithWebIdentity,
+  getCallerIdentity,
+};
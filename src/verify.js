@@ -0,0 +1,196 @@
+const aws4 = require('aws4');
+const { URL } = require('url');
+
+// AWS rejects header-signed requests whose X-Amz-Date is more than 15 minutes off
+const MAX_CLOCK_SKEW = 15 * 60 * 1000;
+const MAX_EXPIRES = 604800;
+
+function parseAmzDate(amzDate) {
+  const match = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/.exec(amzDate || '');
+  if (!match) {
+    return null;
+  }
+  const [, year, month, day, hours, minutes, seconds] = match;
+  return new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds));
+}
+
+function findHeader(headers, name) {
+  const key = Object.keys(headers).find((header) => header.toLowerCase() === name);
+  return key === undefined ? undefined : headers[key];
+}
+
+// Extracts the SigV4 parameters from either a presigned URL or an Authorization header
+function parseSignature(url, headers = {}) {
+  const parsedUrl = new URL(url);
+  const authorization = findHeader(headers, 'authorization');
+
+  if (authorization) {
+    const match = /^(\S+)\s+Credential=([^,\s]+),\s*SignedHeaders=([^,\s]+),\s*Signature=([0-9a-fA-F]+)/.exec(authorization);
+    if (!match) {
+      throw new Error('Unable to parse Authorization header. Expected "AWS4-HMAC-SHA256 Credential=..., SignedHeaders=..., Signature=..."');
+    }
+    return {
+      mode: 'header',
+      algorithm: match[1],
+      credential: match[2],
+      signedHeaders: match[3],
+      signature: match[4],
+      amzDate: findHeader(headers, 'x-amz-date'),
+      securityToken: findHeader(headers, 'x-amz-security-token')
+    };
+  }
+
+  const query = parsedUrl.searchParams;
+  if (!query.has('X-Amz-Signature')) {
+    throw new Error('No SigV4 signature found. Expected an X-Amz-Signature query parameter or an Authorization header');
+  }
+
+  return {
+    mode: 'query',
+    algorithm: query.get('X-Amz-Algorithm'),
+    credential: query.get('X-Amz-Credential'),
+    signedHeaders: query.get('X-Amz-SignedHeaders'),
+    signature: query.get('X-Amz-Signature'),
+    amzDate: query.get('X-Amz-Date'),
+    expires: query.has('X-Amz-Expires') ? parseInt(query.get('X-Amz-Expires')) : undefined,
+    securityToken: query.get('X-Amz-Security-Token') || undefined
+  };
+}
+
+// Recomputes the signature of a presigned URL or signed request with the
+// supplied credentials and reports what matches and what doesn't.
+function verifySignature({
+  url,
+  method = 'GET',
+  headers = {},
+  body,
+  credentials,
+  service,
+  region,
+  now = new Date()
+}) {
+  const parsed = parseSignature(url, headers);
+  const problems = [];
+
+  if (parsed.algorithm !== 'AWS4-HMAC-SHA256') {
+    problems.push(`Unsupported algorithm "${parsed.algorithm}", expected AWS4-HMAC-SHA256`);
+  }
+
+  const [accessKeyId, scopeDate, scopeRegion, scopeService, terminator] = (parsed.credential || '').split('/');
+  if (!scopeService || terminator !== 'aws4_request') {
+    throw new Error(`Malformed credential "${parsed.credential}". Expected <access-key-id>/<date>/<region>/<service>/aws4_request`);
+  }
+
+  const signedAt = parseAmzDate(parsed.amzDate);
+  if (!signedAt) {
+    throw new Error(`Missing or malformed X-Amz-Date "${parsed.amzDate || ''}". Expected a timestamp like 20231201T120000Z`);
+  }
+  if (parsed.amzDate.slice(0, 8) !== scopeDate) {
+    problems.push(`Credential scope date ${scopeDate} doesn't match X-Amz-Date ${parsed.amzDate}`);
+  }
+
+  if (accessKeyId !== credentials.accessKeyId) {
+    problems.push(`Signed with access key ${accessKeyId}, but the supplied credentials are for ${credentials.accessKeyId}`);
+  }
+  if (region && region !== scopeRegion) {
+    problems.push(`Credential scope region "${scopeRegion}" doesn't match the endpoint region "${region}"`);
+  }
+  if (service && service !== scopeService) {
+    problems.push(`Credential scope service "${scopeService}" doesn't match the endpoint service "${service}"`);
+  }
+
+  // AWS rejects requests signed too far from its clock (RequestTimeTooSkewed),
+  // even when the signature matches
+  let expiresAt;
+  let expired = false;
+  let skewed = false;
+  if (parsed.mode === 'query') {
+    if (parsed.expires === undefined || isNaN(parsed.expires)) {
+      problems.push('Missing or invalid X-Amz-Expires');
+    } else {
+      if (parsed.expires > MAX_EXPIRES) {
+        problems.push(`X-Amz-Expires ${parsed.expires} exceeds the maximum of ${MAX_EXPIRES} seconds (7 days)`);
+      }
+      expiresAt = new Date(signedAt.getTime() + (parsed.expires * 1000));
+      expired = now > expiresAt;
+    }
+  } else if (Math.abs(now - signedAt) > MAX_CLOCK_SKEW) {
+    skewed = true;
+    problems.push(`X-Amz-Date ${parsed.amzDate} is more than 15 minutes away from the current time`);
+  }
+  if (signedAt - now > MAX_CLOCK_SKEW) {
+    skewed = true;
+    problems.push(`X-Amz-Date ${parsed.amzDate} is in the future`);
+  }
+
+  // Only headers listed in SignedHeaders take part in the canonical request
+  const signedHeaderNames = parsed.signedHeaders ? parsed.signedHeaders.split(';') : [];
+  const requestHeaders = {};
+  for (const [name, value] of Object.entries(headers)) {
+    if (signedHeaderNames.includes(name.toLowerCase())) {
+      requestHeaders[name] = value;
+    }
+  }
+
+  const parsedUrl = new URL(url);
+  const search = parsedUrl.search.slice(1).split('&')
+    .filter((param) => param && !param.startsWith('X-Amz-Signature='))
+    .join('&');
+
+  const signer = new aws4.RequestSigner({
+    hostname: parsedUrl.hostname,
+    port: parsedUrl.port || undefined,
+    path: parsedUrl.pathname + (search ? `?${search}` : ''),
+    method,
+    headers: requestHeaders,
+    body,
+    service: scopeService,
+    region: scopeRegion,
+    signQuery: parsed.mode === 'query',
+    doNotModifyHeaders: parsed.mode === 'header',
+    extraHeadersToIgnore: signedHeaderNames.includes('host') ? undefined : { host: true }
+  }, {
+    accessKeyId,
+    secretAccessKey: credentials.secretAccessKey,
+    sessionToken: parsed.securityToken
+  });
+
+  signer.prepareRequest();
+  signer.datetime = parsed.amzDate;
+
+  const calculatedSignedHeaders = signer.signedHeaders();
+  const missingHeaders = signedHeaderNames.filter((name) => !calculatedSignedHeaders.split(';').includes(name));
+  if (missingHeaders.length > 0) {
+    problems.push(`Signed headers not supplied: ${missingHeaders.join(', ')} (pass them with -H)`);
+  }
+
+  const calculatedSignature = signer.signature();
+  const signatureMatches = calculatedSignature === parsed.signature.toLowerCase();
+  if (!signatureMatches && problems.length === 0) {
+    problems.push('Signature differs although all parameters match: the secret key, payload or canonical request differ');
+  }
+
+  return {
+    valid: signatureMatches && !expired && !skewed,
+    signatureMatches,
+    expired,
+    skewed,
+    mode: parsed.mode,
+    accessKeyId,
+    credentialScope: [scopeDate, scopeRegion, scopeService, terminator].join('/'),
+    signedAt,
+    expiresAt,
+    signedHeaders: parsed.signedHeaders,
+    providedSignature: parsed.signature,
+    calculatedSignature,
+    canonicalRequest: signer.canonicalString(),
+    stringToSign: signer.stringToSign(),
+    problems
+  };
+}
+
+module.exports = {
+  parseAmzDate,
+  parseSignature,
+  verifySignature,
+};
@@ -0,0 +1,85 @@
+const { detectFormat, parseCsv, parseManifest, formatResultHeader, formatResult } = require('../src/batch');
+
+describe('Batch Manifests', () => {
+  test('should detect the format from the file extension', () => {
+    expect(detectFormat('links.CSV')).toBe('csv');
+    expect(detectFormat('links.jsonl')).toBe('jsonl');
+    expect(detectFormat(null)).toBe('jsonl');
+  });
+
+  test('should parse quoted CSV fields and track line numbers', () => {
+    expect(parseCsv('a,b\r\n"x,1","say ""hi""\nthere"\n\n,last\n')).toEqual([
+      { line: 1, fields: ['a', 'b'] },
+      { line: 2, fields: ['x,1', 'say "hi"\nthere'] },
+      { line: 5, fields: ['', 'last'] }
+    ]);
+    expect(() => parseCsv('a\n"open')).toThrow('Unterminated quoted field starting on line 2');
+  });
+
+  test('should parse JSON Lines with per-line errors', () => {
+    const entries = parseManifest([
+      '{"url": "https://my-bucket.s3.amazonaws.com/a.txt", "method": "put", "expires": 60, "headers": {"x-amz-acl": "private"}}',
+      '',
+      '{"url": "https://my-bucket.s3.amazonaws.com/b.txt", "body": {"a": 1}}',
+      '{not json',
+      '{"url": "https://my-bucket.s3.amazonaws.com/c.txt", "expires": 0}',
+      '{"url": "https://my-bucket.s3.amazonaws.com/d.txt", "acl": "private"}'
+    ].join('\n'), 'jsonl');
+
+    expect(entries).toEqual([
+      {
+        line: 1,
+        request: {
+          url: 'https://my-bucket.s3.amazonaws.com/a.txt',
+          method: 'PUT',
+          expires: 60,
+          headers: { 'x-amz-acl': 'private' }
+        }
+      },
+      { line: 3, request: { url: 'https://my-bucket.s3.amazonaws.com/b.txt', body: '{"a":1}' } },
+      { line: 4, error: expect.stringMatching(/^Invalid JSON: /) },
+      { line: 5, error: '"expires" must be a number of seconds between 1 and 604800 (7 days)' },
+      { line: 6, error: 'Unknown field "acl". Supported fields: url, method, headers, body, expires, service, region' }
+    ]);
+  });
+
+  test('should parse CSV manifests with JSON headers', () => {
+    const entries = parseManifest([
+      'url,method,headers,expires',
+      'https://my-bucket.s3.amazonaws.com/a.txt,,,300',
+      'https://my-bucket.s3.amazonaws.com/b.txt,PUT,"{""Content-Type"": ""text/plain""}",',
+      'https://my-bucket.s3.amazonaws.com/c.txt,GET',
+      'https://my-bucket.s3.amazonaws.com/d.txt,GET,{oops},'
+    ].join('\n'), 'csv');
+
+    expect(entries).toEqual([
+      { line: 2, request: { url: 'https://my-bucket.s3.amazonaws.com/a.txt', expires: 300 } },
+      {
+        line: 3,
+        request: { url: 'https://my-bucket.s3.amazonaws.com/b.txt', method: 'PUT', headers: { 'Content-Type': 'text/plain' } }
+      },
+      { line: 4, error: 'Expected 4 fields, found 2' },
+      { line: 5, error: expect.stringMatching(/^"headers" must be a JSON object: /) }
+    ]);
+  });
+
+  test('should format results as JSON Lines and CSV', () => {
+    const result = {
+      line: 2,
+      url: 'https://my-bucket.s3.amazonaws.com/a.txt?X-Amz-Signature=abc',
+      method: 'GET',
+      headers: { Host: 'my-bucket.s3.amazonaws.com' },
+      expiresAt: '2023-12-01T13:00:00.000Z'
+    };
+
+    expect(formatResultHeader('jsonl')).toBeNull();
+    expect(formatResult(result, 'jsonl')).toBe(JSON.stringify(result));
+    expect(formatResult({ line: 3, error: 'Invalid URL: nope' }, 'jsonl')).toBe('{"line":3,"error":"Invalid URL: nope"}');
+
+    expect(formatResultHeader('csv')).toBe('line,url,method,headers,expiresAt,error');
+    expect(formatResult(result, 'csv')).toBe(
+      '2,https://my-bucket.s3.amazonaws.com/a.txt?X-Amz-Signature=abc,GET,"{""Host"":""my-bucket.s3.amazonaws.com""}",2023-12-01T13:00:00.000Z,'
+    );
+    expect(formatResult({ line: 3, error: 'Bad "url", really' }, 'csv')).toBe('3,,,,,"Bad ""url"", really"');
+  });
+});
@@ -0,0 +1,91 @@
+const http = require('http');
+const { InvalidOptionError } = require('../src/errors');
+const { toAmzDate, parseDate, describeSkew, fetchServerTime } = require('../src/clock');
+
+describe('parseDate', () => {
+  test('should parse ISO 8601 timestamps with a time zone', () => {
+    expect(parseDate('2023-12-01T12:00:00Z').toISOString()).toBe('2023-12-01T12:00:00.000Z');
+    expect(parseDate('2023-12-01T14:00:00+02:00').toISOString()).toBe('2023-12-01T12:00:00.000Z');
+    expect(parseDate('2023-12-01T12:00:00.250Z').toISOString()).toBe('2023-12-01T12:00:00.250Z');
+  });
+
+  test('should parse dates alone as midnight UTC', () => {
+    expect(parseDate('2023-12-01').toISOString()).toBe('2023-12-01T00:00:00.000Z');
+  });
+
+  test('should parse the X-Amz-Date format', () => {
+    expect(parseDate('20231201T120000Z').toISOString()).toBe('2023-12-01T12:00:00.000Z');
+  });
+
+  test('should reject timestamps without a time zone and other strings', () => {
+    ['2023-12-01T12:00:00', 'yesterday', '', undefined, '2023-13-45'].forEach((value) => {
+      expect(() => parseDate(value)).toThrow(InvalidOptionError);
+    });
+    expect(() => parseDate('2023-12-01T12:00:00')).toThrow('Invalid date "2023-12-01T12:00:00"');
+  });
+});
+
+describe('toAmzDate', () => {
+  test('should format dates as X-Amz-Date', () => {
+    expect(toAmzDate(new Date('2023-12-01T12:00:00.250Z'))).toBe('20231201T120000Z');
+  });
+});
+
+describe('describeSkew', () => {
+  test('should say how far and which way the local clock is off', () => {
+    expect(describeSkew(185000)).toBe('3 minutes 5 seconds behind');
+    expect(describeSkew(-42000)).toBe('42 seconds ahead of');
+    expect(describeSkew(-60000)).toBe('1 minute ahead of');
+    expect(describeSkew(200)).toBe('0 seconds behind');
+  });
+});
+
+describe('fetchServerTime', () => {
+  let server;
+  let baseUrl;
+  let dateHeader;
+
+  beforeAll((done) => {
+    server = http.createServer((req, res) => {
+      const headers = dateHeader ? { Date: dateHeader } : {};
+      if (!dateHeader) {
+        res.sendDate = false;
+      }
+      res.writeHead(200, headers);
+      res.end(req.method === 'HEAD' ? undefined : 'body');
+    });
+    server.listen(0, '127.0.0.1', () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      done();
+    });
+  });
+
+  afterAll((done) => {
+    server.close(done);
+  });
+
+  test('should measure the offset of the server clock', async () => {
+    dateHeader = new Date(Date.now() + 3600 * 1000).toUTCString();
+
+    const { serverDate, offset } = await fetchServerTime(baseUrl);
+
+    expect(serverDate.toUTCString()).toBe(dateHeader);
+    // The Date header has a resolution of one second
+    expect(Math.abs(offset - 3600 * 1000)).toBeLessThan(2000);
+  });
+
+  test('should fail when the server sends no Date header', async () => {
+    dateHeader = null;
+
+    await expect(fetchServerTime(baseUrl)).rejects.toThrow(`${baseUrl} didn't send a Date header`);
+  });
+
+  test('should fail when the server is unreachable', async () => {
+    const closed = http.createServer();
+    await new Promise((resolve) => closed.listen(0, '127.0.0.1', resolve));
+    const url = `http://127.0.0.1:${closed.address().port}`;
+    await new Promise((resolve) => closed.close(resolve));
+
+    await expect(fetchServerTime(url)).rejects.toThrow(`Unable to sync the clock with ${url}`);
+  });
+});
@@ -0,0 +1,102 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadConfig, getPreset } = require('../src/config');
+
+describe('Config Files', () => {
+  let root;
+  let home;
+  let project;
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'aws4-cli-config-'));
+    home = path.join(root, 'home');
+    project = path.join(root, 'project');
+    fs.mkdirSync(home);
+    fs.mkdirSync(path.join(project, 'src'), { recursive: true });
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  function writeJson(file, value) {
+    fs.writeFileSync(file, JSON.stringify(value));
+  }
+
+  test('should return empty config when no files exist', () => {
+    expect(loadConfig({ cwd: project, homedir: home })).toEqual({ defaults: {}, presets: {}, files: [] });
+  });
+
+  test('should merge the project .aws4clirc over ~/.aws4-cli.json', () => {
+    writeJson(path.join(home, '.aws4-cli.json'), {
+      defaults: { output: 'curl', region: 'us-west-2' },
+      presets: { a: { method: 'GET' }, b: { method: 'PUT' } }
+    });
+    writeJson(path.join(project, '.aws4clirc'), {
+      defaults: { region: 'eu-west-1' },
+      presets: { b: { method: 'DELETE' } }
+    });
+
+    const config = loadConfig({ cwd: path.join(project, 'src'), homedir: home });
+
+    expect(config.defaults).toEqual({ output: 'curl', region: 'eu-west-1' });
+    expect(config.presets).toEqual({ a: { method: 'GET' }, b: { method: 'DELETE' } });
+    expect(config.files).toEqual([path.join(home, '.aws4-cli.json'), path.join(project, '.aws4clirc')]);
+  });
+
+  test('should only read the explicit config file when one is given', () => {
+    const explicit = path.join(root, 'custom.json');
+    writeJson(explicit, { presets: { only: { service: 'sqs' } } });
+    writeJson(path.join(home, '.aws4-cli.json'), { defaults: { output: 'curl' } });
+
+    const config = loadConfig({ configPath: explicit, cwd: project, homedir: home });
+
+    expect(config.defaults).toEqual({});
+    expect(config.presets).toEqual({ only: { service: 'sqs' } });
+  });
+
+  test('should report invalid JSON with the file name', () => {
+    const file = path.join(project, '.aws4clirc');
+    fs.writeFileSync(file, '{ "defaults": ');
+
+    expect(() => loadConfig({ cwd: project, homedir: home })).toThrow(`Invalid config file ${file}`);
+  });
+
+  test('should report an empty config file', () => {
+    const file = path.join(root, 'empty.json');
+    fs.writeFileSync(file, '\n');
+
+    expect(() => loadConfig({ configPath: file })).toThrow(`Invalid config file ${file}: the file is empty`);
+    expect(() => loadConfig({ configPath: '/dev/null' })).toThrow('Invalid config file /dev/null: the file is empty');
+  });
+
+  test('should check the types of config values', () => {
+    const file = path.join(root, 'types.json');
+    const check = (config) => {
+      writeJson(file, config);
+      return () => loadConfig({ configPath: file });
+    };
+
+    expect(check({ defaults: { cache: 'no' } }))
+      .toThrow(`Invalid config file ${file}: "cache" in defaults must be a boolean, not string`);
+    expect(check({ defaults: { expires: 'abc' } })).toThrow('"expires" in defaults must be a number, not string');
+    expect(check({ presets: { api: { headers: 'x' } } })).toThrow('"headers" in preset "api" must be an object, not string');
+    expect(check({ presets: { api: { headers: { 'X-Count': 1 } } } })).toThrow('header "X-Count" in preset "api" must be a string');
+    expect(check({ presets: { api: ['url'] } })).toThrow('preset "api" must be an object');
+    expect(check({ defaults: { region: null } })).toThrow('"region" in defaults must be a string, not null');
+    expect(check({ defaults: { body: { a: 1 }, signQuery: true, expires: 60 } })).not.toThrow();
+  });
+
+  test('should report a missing explicit config file', () => {
+    expect(() => loadConfig({ configPath: path.join(root, 'missing.json') })).toThrow('Unable to read config file');
+  });
+
+  test('should list available presets for an unknown name', () => {
+    const config = { defaults: {}, presets: { 'ddb-list-tables': {}, 'sqs-list-queues': {} } };
+
+    expect(getPreset(config, 'ddb-list-tables')).toEqual({});
+    expect(() => getPreset(config, 'nope')).toThrow('Unknown preset: nope. Available presets: ddb-list-tables, sqs-list-queues');
+    expect(() => getPreset(config, 'toString')).toThrow('Unknown preset: toString');
+  });
+});
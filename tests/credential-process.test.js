@@ -0,0 +1,60 @@
+const { CredentialsError } = require('../src/errors');
+const { parseProcessOutput, runCredentialProcess } = require('../src/credential-process');
+
+// A credential process that runs a node script
+function nodeCommand(script) {
+  return `${JSON.stringify(process.execPath)} -e ${JSON.stringify(script)}`;
+}
+
+describe('Credential Process', () => {
+  test('should parse long-term credentials', () => {
+    expect(parseProcessOutput('{"Version": 1, "AccessKeyId": "AKID", "SecretAccessKey": "SECRET"}')).toEqual({
+      accessKeyId: 'AKID',
+      secretAccessKey: 'SECRET',
+      sessionToken: undefined,
+      expiration: undefined
+    });
+  });
+
+  test('should parse temporary credentials', () => {
+    const credentials = parseProcessOutput(JSON.stringify({
+      Version: 1,
+      AccessKeyId: 'ASIAEXAMPLE',
+      SecretAccessKey: 'SECRET',
+      SessionToken: 'TOKEN',
+      Expiration: '2099-01-01T00:00:00Z'
+    }));
+    expect(credentials.sessionToken).toBe('TOKEN');
+    expect(credentials.expiration).toEqual(new Date('2099-01-01T00:00:00Z'));
+  });
+
+  test('should reject malformed output', () => {
+    expect(() => parseProcessOutput('not json')).toThrow(CredentialsError);
+    expect(() => parseProcessOutput('not json')).toThrow('Credential process printed invalid JSON');
+    expect(() => parseProcessOutput('{"Version": 2, "AccessKeyId": "A", "SecretAccessKey": "S"}'))
+      .toThrow('"Version": 1');
+    expect(() => parseProcessOutput('{"Version": 1, "AccessKeyId": "A"}'))
+      .toThrow('missing AccessKeyId or SecretAccessKey');
+    expect(() => parseProcessOutput('{"Version": 1, "AccessKeyId": "A", "SecretAccessKey": "S", "Expiration": "soon"}'))
+      .toThrow('invalid Expiration "soon"');
+  });
+
+  test('should reject expired credentials', () => {
+    expect(() => parseProcessOutput(
+      '{"Version": 1, "AccessKeyId": "A", "SecretAccessKey": "S", "Expiration": "2000-01-01T00:00:00Z"}'
+    )).toThrow('expired at 2000-01-01T00:00:00Z');
+  });
+
+  test('should run the command in a shell and return its credentials', async () => {
+    const script = 'console.log(JSON.stringify({ Version: 1, AccessKeyId: "AKID", SecretAccessKey: process.argv[1] }))';
+    const credentials = await runCredentialProcess(`${nodeCommand(script)} "secret from argv"`);
+    expect(credentials.accessKeyId).toBe('AKID');
+    expect(credentials.secretAccessKey).toBe('secret from argv');
+  });
+
+  test('should report a failing command with its exit code', async () => {
+    const promise = runCredentialProcess(nodeCommand('process.exit(3)'));
+    await expect(promise).rejects.toThrow(CredentialsError);
+    await expect(promise).rejects.toThrow('Credential process exited with code 3');
+  });
+});
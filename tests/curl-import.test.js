@@ -0,0 +1,81 @@
+const { splitShellWords, parseCurlCommand } = require('../src/curl-import');
+
+describe('Curl Import', () => {
+  describe('splitShellWords', () => {
+    test('should split on whitespace and line continuations', () => {
+      expect(splitShellWords("curl -X POST \\\n  -H 'A: b' \\\r\n  https://example.com/")).toEqual([
+        'curl', '-X', 'POST', '-H', 'A: b', 'https://example.com/'
+      ]);
+    });
+
+    test('should handle single, double and $\'...\' quoting', () => {
+      expect(splitShellWords(`'it'\\''s' "say \\"hi\\" \\$HOME \\n" $'a\\'b\\n\\x41\\u00e9' a"b"'c'`)).toEqual([
+        "it's",
+        'say "hi" $HOME \\n',
+        "a'b\nAé",
+        'abc'
+      ]);
+    });
+
+    test('should keep empty quoted words', () => {
+      expect(splitShellWords(`-d '' ""`)).toEqual(['-d', '', '']);
+    });
+
+    test('should reject unterminated quotes', () => {
+      expect(() => splitShellWords(`-d '{"a"`)).toThrow('Unterminated single quote');
+      expect(() => splitShellWords('-d "abc')).toThrow('Unterminated double quote');
+    });
+  });
+
+  describe('parseCurlCommand', () => {
+    test('should read the method, headers, body and URL', () => {
+      expect(parseCurlCommand(`curl -X PUT -H 'Content-Type: application/json' -HX-Trace:1 \\
+        --data-raw '{"a":1}' --compressed -s 'https://example.com/items?id=1'`)).toEqual({
+        url: 'https://example.com/items?id=1',
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json', 'X-Trace': '1' },
+        data: { value: '{"a":1}', raw: true }
+      });
+    });
+
+    test('should keep curl\'s @file conventions for -d and --data-binary', () => {
+      expect(parseCurlCommand('curl -d @body.json https://example.com/').data).toEqual({ value: '@body.json', binary: false });
+      expect(parseCurlCommand('curl --data-binary=@a.bin https://example.com/').data).toEqual({ value: '@a.bin', binary: true });
+      expect(parseCurlCommand('curl --data-raw @a.bin https://example.com/').data).toEqual({ value: '@a.bin', raw: true });
+    });
+
+    test('should join data options and move them to the query with -G', () => {
+      expect(parseCurlCommand('curl -d a=1 -d b=2 https://example.com/').data).toEqual({ value: 'a=1&b=2', raw: true });
+
+      const request = parseCurlCommand('curl -G -d a=1 --data-raw b=2 https://example.com/?x=0');
+      expect(request.url).toBe('https://example.com/?x=0&a=1&b=2');
+      expect(request.data).toBeNull();
+    });
+
+    test('should drop headers from a previous signature', () => {
+      const request = parseCurlCommand(`curl -H 'Authorization: AWS4-HMAC-SHA256 Credential=...' \\
+        -H 'X-Amz-Date: 20231201T120000Z' -H 'x-amz-security-token: token' -H 'Content-Length: 2' \\
+        -H 'X-Amz-Content-Sha256: 44136fa3' -H 'X-Amz-Target: DynamoDB_20120810.ListTables' https://example.com/`);
+
+      expect(request.headers).toEqual({ 'X-Amz-Target': 'DynamoDB_20120810.ListTables' });
+      expect(parseCurlCommand(`curl -H 'x-amz-content-sha256: UNSIGNED-PAYLOAD' https://example.com/`).headers)
+        .toEqual({ 'x-amz-content-sha256': 'UNSIGNED-PAYLOAD' });
+    });
+
+    test('should map -A, -e, -b and -I', () => {
+      expect(parseCurlCommand('curl -I -A agent/1 -e https://ref/ -b a=1 --url https://example.com/')).toEqual({
+        url: 'https://example.com/',
+        method: 'HEAD',
+        headers: { 'User-Agent': 'agent/1', 'Referer': 'https://ref/', 'Cookie': 'a=1' },
+        data: null
+      });
+    });
+
+    test('should reject unsupported options and missing URLs', () => {
+      expect(() => parseCurlCommand('curl -u user:pass https://example.com/')).toThrow('Unsupported curl option: -u');
+      expect(() => parseCurlCommand('curl -X POST')).toThrow('No URL found in the curl command');
+      expect(() => parseCurlCommand('curl https://a/ https://b/')).toThrow('more than one URL');
+      expect(() => parseCurlCommand('curl -d @a.json -d b=1 https://a/')).toThrow('@file data can only be used on its own');
+    });
+  });
+});
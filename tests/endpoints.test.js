@@ -0,0 +1,130 @@
+const { resolveEndpoint } = require('../src/endpoints');
+
+describe('Endpoint Resolution', () => {
+  describe('S3 virtual-hosted and path-style endpoints', () => {
+    test.each([
+      ['s3.amazonaws.com', 's3', 'us-east-1', null],
+      ['my-bucket.s3.amazonaws.com', 's3', 'us-east-1', 'my-bucket'],
+      ['my.dotted.bucket.s3.amazonaws.com', 's3', 'us-east-1', 'my.dotted.bucket'],
+      ['s3.eu-west-1.amazonaws.com', 's3', 'eu-west-1', null],
+      ['my-bucket.s3.ap-northeast-2.amazonaws.com', 's3', 'ap-northeast-2', 'my-bucket'],
+      ['s3-logs.s3.us-west-2.amazonaws.com', 's3', 'us-west-2', 's3-logs'],
+    ])('%s', (hostname, service, region, bucket) => {
+      expect(resolveEndpoint(hostname)).toEqual(expect.objectContaining({ service, region, bucket, partition: 'aws' }));
+    });
+  });
+
+  describe('S3 legacy dash-region endpoints', () => {
+    test.each([
+      ['s3-us-west-2.amazonaws.com', 'us-west-2', null],
+      ['my-bucket.s3-eu-west-1.amazonaws.com', 'eu-west-1', 'my-bucket'],
+      ['s3-external-1.amazonaws.com', 'us-east-1', null],
+      ['my-bucket.s3-us-gov-west-1.amazonaws.com', 'us-gov-west-1', 'my-bucket'],
+    ])('%s', (hostname, region, bucket) => {
+      expect(resolveEndpoint(hostname)).toEqual(expect.objectContaining({ service: 's3', region, bucket }));
+    });
+  });
+
+  describe('Dualstack and FIPS endpoints', () => {
+    test.each([
+      ['s3.dualstack.eu-west-1.amazonaws.com', 's3', 'eu-west-1', { dualstack: true, fips: false }],
+      ['my-bucket.s3.dualstack.us-east-2.amazonaws.com', 's3', 'us-east-2', { dualstack: true, bucket: 'my-bucket' }],
+      ['s3-fips.us-gov-west-1.amazonaws.com', 's3', 'us-gov-west-1', { fips: true, partition: 'aws-us-gov' }],
+      ['s3-fips.dualstack.us-east-1.amazonaws.com', 's3', 'us-east-1', { fips: true, dualstack: true }],
+      ['dynamodb-fips.us-gov-west-1.amazonaws.com', 'dynamodb', 'us-gov-west-1', { fips: true, partition: 'aws-us-gov' }],
+      ['sts-fips.us-east-2.amazonaws.com', 'sts', 'us-east-2', { fips: true }],
+      ['ec2.dualstack.eu-central-1.amazonaws.com', 'ec2', 'eu-central-1', { dualstack: true }],
+      ['ec2.us-west-2.api.aws', 'ec2', 'us-west-2', { dualstack: true, partition: 'aws' }],
+    ])('%s', (hostname, service, region, extra) => {
+      expect(resolveEndpoint(hostname)).toEqual(expect.objectContaining({ service, region, ...extra }));
+    });
+  });
+
+  describe('S3 special-purpose endpoints', () => {
+    test.each([
+      ['my-bucket.s3-accelerate.amazonaws.com', 's3', null, { accelerate: true, bucket: 'my-bucket' }],
+      ['my-bucket.s3-accelerate.dualstack.amazonaws.com', 's3', null, { accelerate: true, dualstack: true }],
+      ['my-ap-123456789012.s3-accesspoint.us-west-2.amazonaws.com', 's3', 'us-west-2', { bucket: 'my-ap-123456789012' }],
+      ['123456789012.s3-control.us-west-2.amazonaws.com', 's3', 'us-west-2', { bucket: null }],
+      ['my-olap-123456789012.s3-object-lambda.us-east-1.amazonaws.com', 's3-object-lambda', 'us-east-1', {}],
+      ['mfzwi23gnjvgw.mrap.accesspoint.s3-global.amazonaws.com', 's3', null, { mrap: true, bucket: 'mfzwi23gnjvgw' }],
+    ])('%s', (hostname, service, region, extra) => {
+      expect(resolveEndpoint(hostname)).toEqual(expect.objectContaining({ service, region, ...extra }));
+    });
+  });
+
+  describe('Partitions', () => {
+    test.each([
+      ['s3.cn-north-1.amazonaws.com.cn', 's3', 'cn-north-1', 'aws-cn'],
+      ['my-bucket.s3.cn-northwest-1.amazonaws.com.cn', 's3', 'cn-northwest-1', 'aws-cn'],
+      ['dynamodb.cn-north-1.amazonaws.com.cn', 'dynamodb', 'cn-north-1', 'aws-cn'],
+      ['ec2.us-gov-east-1.amazonaws.com', 'ec2', 'us-gov-east-1', 'aws-us-gov'],
+      ['sqs.us-west-2.amazonaws.com', 'sqs', 'us-west-2', 'aws'],
+    ])('%s', (hostname, service, region, partition) => {
+      expect(resolveEndpoint(hostname)).toEqual(expect.objectContaining({ service, region, partition }));
+    });
+  });
+
+  describe('Global services', () => {
+    test.each([
+      ['iam.amazonaws.com', 'iam', 'us-east-1', 'aws'],
+      ['sts.amazonaws.com', 'sts', 'us-east-1', 'aws'],
+      ['cloudfront.amazonaws.com', 'cloudfront', 'us-east-1', 'aws'],
+      ['route53.amazonaws.com', 'route53', 'us-east-1', 'aws'],
+      ['globalaccelerator.amazonaws.com', 'globalaccelerator', 'us-west-2', 'aws'],
+      ['ec2.amazonaws.com', 'ec2', 'us-east-1', 'aws'],
+      ['iam.us-gov.amazonaws.com', 'iam', 'us-gov-west-1', 'aws-us-gov'],
+    ])('%s', (hostname, service, region, partition) => {
+      expect(resolveEndpoint(hostname)).toEqual(expect.objectContaining({ service, region, partition, global: true }));
+    });
+
+    test('should not treat regional STS endpoints as global', () => {
+      expect(resolveEndpoint('sts.eu-west-1.amazonaws.com')).toEqual(expect.objectContaining({ region: 'eu-west-1', global: false }));
+    });
+  });
+
+  describe('API Gateway, Lambda function URLs and OpenSearch', () => {
+    test.each([
+      ['yzzb1hgbpa.execute-api.ap-northeast-2.amazonaws.com', 'execute-api', 'ap-northeast-2'],
+      ['yzzb1hgbpa-vpce-0123456789abcdef0.execute-api.eu-west-1.amazonaws.com', 'execute-api', 'eu-west-1'],
+      ['abcdefghijklmnop.lambda-url.eu-west-1.on.aws', 'lambda', 'eu-west-1'],
+      ['search-my-domain-abc123.us-east-1.es.amazonaws.com', 'es', 'us-east-1'],
+      ['vpc-my-domain-abc123.eu-west-1.es.amazonaws.com', 'es', 'eu-west-1'],
+      ['search-my-domain-abc123.aos.us-west-2.on.aws', 'es', 'us-west-2'],
+      ['abc123xyz.us-east-1.aoss.amazonaws.com', 'aoss', 'us-east-1'],
+      ['email.us-east-1.amazonaws.com', 'ses', 'us-east-1'],
+    ])('%s', (hostname, service, region) => {
+      expect(resolveEndpoint(hostname)).toEqual(expect.objectContaining({ service, region, vpce: false }));
+    });
+  });
+
+  describe('Interface VPC endpoints', () => {
+    test.each([
+      ['vpce-0123456789abcdef0-abcdefgh.sqs.us-east-1.vpce.amazonaws.com', 'sqs', 'us-east-1', null],
+      ['vpce-0123456789abcdef0-abcdefgh-us-east-1a.execute-api.us-east-1.vpce.amazonaws.com', 'execute-api', 'us-east-1', null],
+      ['vpce-0123456789abcdef0-abcdefgh.lambda.eu-west-1.vpce.amazonaws.com', 'lambda', 'eu-west-1', null],
+      ['my-bucket.vpce-0123456789abcdef0-abcdefgh.s3.us-east-1.vpce.amazonaws.com', 's3', 'us-east-1', 'my-bucket'],
+    ])('%s', (hostname, service, region, bucket) => {
+      const endpoint = resolveEndpoint(hostname);
+      expect(endpoint).toEqual(expect.objectContaining({ service, region, vpce: true }));
+      if (bucket) {
+        expect(endpoint.bucket).toBe(bucket);
+      }
+    });
+  });
+
+  describe('Other hosts', () => {
+    test.each([
+      'example.com',
+      'localhost',
+      '127.0.0.1',
+      'amazonaws.com',
+    ])('%s', (hostname) => {
+      expect(resolveEndpoint(hostname)).toBeNull();
+    });
+
+    test('should ignore case and a trailing dot', () => {
+      expect(resolveEndpoint('SQS.US-EAST-2.AMAZONAWS.COM.')).toEqual(expect.objectContaining({ service: 'sqs', region: 'us-east-2' }));
+    });
+  });
+});
@@ -0,0 +1,72 @@
+const aws4 = require('aws4');
+const { explainSignature, formatExplanation } = require('../src/explain');
+
+// "get-vanilla" from the AWS Signature Version 4 test suite
+const credentials = {
+  accessKeyId: 'AKIDEXAMPLE',
+  secretAccessKey: 'wJalrXUtnFEMI/K7MDENG+bPxRfiCYEXAMPLEKEY'
+};
+
+function signVanilla(extra = {}) {
+  return aws4.sign({
+    host: 'example.amazonaws.com',
+    path: '/',
+    service: 'service',
+    region: 'us-east-1',
+    headers: { 'X-Amz-Date': '20150830T123600Z' },
+    ...extra
+  }, credentials);
+}
+
+describe('Signature Explanation', () => {
+  test('should replay the documented canonical request and string to sign', () => {
+    const explanation = explainSignature(signVanilla(), credentials);
+
+    expect(explanation.canonicalRequest).toBe([
+      'GET',
+      '/',
+      '',
+      'host:example.amazonaws.com',
+      'x-amz-date:20150830T123600Z',
+      '',
+      'host;x-amz-date',
+      'e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855'
+    ].join('\n'));
+    expect(explanation.stringToSign).toBe([
+      'AWS4-HMAC-SHA256',
+      '20150830T123600Z',
+      '20150830/us-east-1/service/aws4_request',
+      'bb579772317eb040ac9ed261061d46c1f17a8133879d6129b6e1c25292927e63'
+    ].join('\n'));
+    expect(explanation.signature).toBe('5fa00fa31553b73ebf1942676e86291e8372ff2a2260956d9b8aae1d763fbf31');
+  });
+
+  test('should derive the signing key stage by stage', () => {
+    const { signingKey } = explainSignature(signVanilla(), credentials);
+
+    expect(signingKey.date.input).toBe('20150830');
+    expect(signingKey.region.input).toBe('us-east-1');
+    expect(signingKey.service.input).toBe('service');
+    expect(signingKey.signing.key).toMatch(/^[0-9a-f]{64}$/);
+  });
+
+  test('should match the signature of a presigned URL', () => {
+    const signed = signVanilla({ signQuery: true, path: '/?X-Amz-Date=20150830T123600Z&X-Amz-Expires=60', headers: {} });
+    const explanation = explainSignature(signed, credentials);
+
+    expect(signed.path).toContain(`X-Amz-Signature=${explanation.signature}`);
+    expect(explanation.canonicalRequest).not.toContain('X-Amz-Signature');
+  });
+
+  test('should format every step', () => {
+    const output = formatExplanation(explainSignature(signVanilla(), credentials));
+
+    expect(output).toContain('Canonical request:\nGET\n/');
+    expect(output).toContain('Hashed payload:           e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855');
+    expect(output).toContain('Credential scope:         20150830/us-east-1/service/aws4_request');
+    expect(output).toContain('String to sign:\nAWS4-HMAC-SHA256');
+    expect(output).toContain('kDate    = HMAC(kSecret, "20150830")');
+    expect(output).toContain('Signature = HMAC(kSigning, string to sign) = 5fa00fa31553b73ebf1942676e86291e8372ff2a2260956d9b8aae1d763fbf31');
+    expect(output).not.toContain(credentials.secretAccessKey);
+  });
+});
@@ -1,6 +1,10 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const aws4 = require('aws4');
 const { fromNodeProviderChain } = require('@aws-sdk/credential-providers');
 const { ArgumentParser, AWS4CLI, DEFAULT_OPTIONS } = require('../src/index.js');
+const { CredentialsError } = require('../src/errors');
 
 // Mock the AWS dependencies
 jest.mock('aws4');
@@ -109,6 +113,40 @@ describe('AWS4 CLI', () => {
       expect(options.output).toBe('curl');
     });
 
+    test('should read --data @file with newlines stripped', () => {
+      const bodyFile = path.join(os.tmpdir(), `aws4-cli-parser-${process.pid}.json`);
+      fs.writeFileSync(bodyFile, '{\r\n  "key": "value"\n}\n');
+      try {
+        process.argv = ['node', 'index.js', '-d', `@${bodyFile}`, 'https://s3.amazonaws.com/my-bucket/'];
+
+        const parser = new ArgumentParser();
+        const { options } = parser.parse();
+
+        expect(options.body).toBe('{  "key": "value"}');
+        expect(options.bodyFile).toEqual({ path: bodyFile, binary: false });
+      } finally {
+        fs.rmSync(bodyFile, { force: true });
+      }
+    });
+
+    test('should read --data-binary @file as a Buffer', () => {
+      const bodyFile = path.join(os.tmpdir(), `aws4-cli-parser-${process.pid}.bin`);
+      const payload = Buffer.from([0x00, 0x0a, 0xff]);
+      fs.writeFileSync(bodyFile, payload);
+      try {
+        process.argv = ['node', 'index.js', '--data-binary', `@${bodyFile}`, 'https://s3.amazonaws.com/my-bucket/'];
+
+        const parser = new ArgumentParser();
+        const { options } = parser.parse();
+
+        expect(Buffer.isBuffer(options.body)).toBe(true);
+        expect(options.body.equals(payload)).toBe(true);
+        expect(options.bodyFile).toEqual({ path: bodyFile, binary: true });
+      } finally {
+        fs.rmSync(bodyFile, { force: true });
+      }
+    });
+
     test('should parse region', () => {
       process.argv = ['node', 'index.js', '-r', 'eu-west-1', 'https://s3.amazonaws.com/my-bucket/'];
       
@@ -157,6 +195,20 @@ describe('AWS4 CLI', () => {
       expect(region).toBe('eu-west-1');
     });
 
+    test('should extract service and region from virtual-hosted S3 URL without region', () => {
+      const cli = new AWS4CLI('https://my-bucket.s3.amazonaws.com/my-file.txt', {});
+
+      expect(cli.extractServiceFromHost('my-bucket.s3.amazonaws.com')).toBe('s3');
+      expect(cli.extractRegionFromHost('my-bucket.s3.amazonaws.com')).toBe('us-east-1');
+    });
+
+    test('should extract signing region for global services', () => {
+      const cli = new AWS4CLI('https://iam.amazonaws.com/', {});
+
+      expect(cli.extractServiceFromHost('iam.amazonaws.com')).toBe('iam');
+      expect(cli.extractRegionFromHost('iam.amazonaws.com')).toBe('us-east-1');
+    });
+
     test('should resolve credentials using environment variables', async () => {
       // Set up environment variables
       process.env.AWS_ACCESS_KEY_ID = 'AKIATEST';
@@ -190,6 +242,29 @@ describe('AWS4 CLI', () => {
       expect(credentials.sessionToken).toBe('IQoJb3JpZ2luX2VjEG0aCXVzLWVhc3QsExample');
     });
 
+    test('should resolve credentials once for a batch', async () => {
+      const manifest = path.join(os.tmpdir(), `aws4-cli-batch-${process.pid}.jsonl`);
+      fs.writeFileSync(manifest, [
+        '{"url": "https://my-bucket.s3.amazonaws.com/a.txt"}',
+        '{"url": "https://my-bucket.s3.amazonaws.com/b.txt", "expires": 60}',
+        '{"method": "GET"}'
+      ].join('\n'));
+      try {
+        const cli = new AWS4CLI(manifest, { command: 'batch', headers: {}, expires: 3600 });
+
+        await cli.batch();
+
+        expect(fromNodeProviderChain).toHaveBeenCalledTimes(1);
+        expect(aws4.sign).toHaveBeenCalledTimes(2);
+        expect(aws4.sign.mock.calls[1][0].path).toBe('/b.txt?X-Amz-Expires=60');
+        expect(console.log).toHaveBeenCalledWith('{"line":3,"error":"Missing \\"url\\""}');
+        expect(process.exitCode).toBe(1);
+      } finally {
+        process.exitCode = undefined;
+        fs.rmSync(manifest, { force: true });
+      }
+    });
+
     test('should sign request and return signed options', async () => {
       const cli = new AWS4CLI('https://s3.amazonaws.com/test-bucket/test-file.txt', {});
       
@@ -312,6 +387,14 @@ describe('AWS4 CLI', () => {
       expect(() => parser.parse()).toThrow();
     });
 
+    test('should name the flag missing its body', () => {
+      process.argv = ['node', 'index.js', 'https://s3.amazonaws.com/test', '--data-binary'];
+      expect(() => new ArgumentParser().parse()).toThrow('--data-binary requires a value');
+
+      process.argv = ['node', 'index.js', 'https://s3.amazonaws.com/test', '-d'];
+      expect(() => new ArgumentParser().parse()).toThrow('-d requires a value');
+    });
+
     test('should handle credential resolution errors', async () => {
       // Mock credential provider to reject
       const mockCredentialProvider = jest.fn().mockRejectedValue(new Error('No credentials found'));
@@ -319,9 +402,8 @@ describe('AWS4 CLI', () => {
       
       const cli = new AWS4CLI('https://s3.amazonaws.com/test', {});
       
-      await cli.resolveCredentials();
-      
-      expect(process.exit).toHaveBeenCalledWith(1);
+      await expect(cli.resolveCredentials()).rejects.toThrow(CredentialsError);
+      expect(process.exit).not.toHaveBeenCalled();
     });
   });
 
@@ -0,0 +1,160 @@
+const http = require('http');
+const { REFRESH_WINDOW } = require('../src/credentials');
+const { parseListenAddress, SigningProxy } = require('../src/proxy');
+
+function request(port, { method = 'GET', path = '/', headers = {}, body } = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({ host: '127.0.0.1', port, method, path, headers }, (res) => {
+      let data = '';
+      res.on('data', (chunk) => { data += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: data }));
+      res.on('error', reject);
+    });
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+describe('Signing Proxy', () => {
+  test('should parse listen addresses', () => {
+    expect(parseListenAddress('127.0.0.1:8080')).toEqual({ host: '127.0.0.1', port: 8080 });
+    expect(parseListenAddress('[::1]:9200')).toEqual({ host: '::1', port: 9200 });
+    expect(parseListenAddress('9200')).toEqual({ host: '127.0.0.1', port: 9200 });
+    expect(() => parseListenAddress('localhost')).toThrow('Invalid --listen address "localhost"');
+    expect(() => parseListenAddress('1.2.3.4:70000')).toThrow('Invalid --listen address');
+  });
+
+  describe('credentials', () => {
+    test('should keep long-term credentials', async () => {
+      const resolveCredentials = jest.fn().mockResolvedValue({ accessKeyId: 'AKID', secretAccessKey: 'secret' });
+      const proxy = new SigningProxy({ upstream: 'https://example.com', sign: jest.fn(), resolveCredentials });
+
+      await proxy.getCredentials();
+      await proxy.getCredentials();
+
+      expect(resolveCredentials).toHaveBeenCalledTimes(1);
+    });
+
+    test('should refresh temporary credentials before they expire', async () => {
+      const soon = new Date(Date.now() + REFRESH_WINDOW - 1000);
+      const later = new Date(Date.now() + 60 * 60 * 1000);
+      const resolveCredentials = jest.fn()
+        .mockResolvedValueOnce({ accessKeyId: 'ASIA1', secretAccessKey: 's', sessionToken: 't', expiration: soon })
+        .mockResolvedValueOnce({ accessKeyId: 'ASIA2', secretAccessKey: 's', sessionToken: 't', expiration: later });
+      const proxy = new SigningProxy({ upstream: 'https://example.com', sign: jest.fn(), resolveCredentials });
+
+      expect((await proxy.getCredentials()).accessKeyId).toBe('ASIA1');
+      const [first, second] = await Promise.all([proxy.getCredentials(), proxy.getCredentials()]);
+      expect(first.accessKeyId).toBe('ASIA2');
+      expect(second.accessKeyId).toBe('ASIA2');
+      expect((await proxy.getCredentials()).accessKeyId).toBe('ASIA2');
+      expect(resolveCredentials).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('forwarding', () => {
+    let upstream;
+    let upstreamPort;
+    let received;
+    let proxy;
+    let proxyPort;
+    let sign;
+
+    beforeEach(async () => {
+      received = undefined;
+      upstream = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', (chunk) => { body += chunk; });
+        req.on('end', () => {
+          received = { method: req.method, url: req.url, headers: req.headers, body };
+          if (req.url.endsWith('/drop')) {
+            // Sends the headers and part of the body, then resets the connection
+            res.writeHead(200, { 'Content-Type': 'text/plain', 'Content-Length': '100' });
+            res.write('partial', () => req.socket.resetAndDestroy());
+            return;
+          }
+          res.writeHead(201, { 'Content-Type': 'text/plain', 'X-Upstream': 'yes' });
+          res.end('created');
+        });
+      });
+      await new Promise((resolve) => upstream.listen(0, '127.0.0.1', resolve));
+      upstreamPort = upstream.address().port;
+
+      // Stands in for AWS4CLI.sign(): adds a fake signature header
+      sign = jest.fn(async ({ url, method, headers, body }, credentials) => {
+        const parsed = new URL(url);
+        return {
+          protocol: parsed.protocol,
+          hostname: parsed.hostname,
+          port: parsed.port,
+          path: parsed.pathname + parsed.search,
+          method,
+          headers: { ...headers, Authorization: `signed-by-${credentials.accessKeyId}` },
+          body
+        };
+      });
+      proxy = new SigningProxy({
+        upstream: `http://127.0.0.1:${upstreamPort}/prod/`,
+        sign,
+        resolveCredentials: async () => ({ accessKeyId: 'AKID', secretAccessKey: 'secret' })
+      });
+      proxyPort = (await proxy.listen(0, '127.0.0.1')).port;
+    });
+
+    afterEach(async () => {
+      await proxy.close();
+      await new Promise((resolve) => upstream.close(resolve));
+    });
+
+    test('should sign and forward requests and stream the response back', async () => {
+      const response = await request(proxyPort, {
+        method: 'POST',
+        path: '/items?id=1',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': 'Basic dXNlcjpwYXNz',
+          'X-Amz-Date': '20200101T000000Z',
+          'Proxy-Authorization': 'secret'
+        },
+        body: '{"a":1}'
+      });
+
+      expect(response.status).toBe(201);
+      expect(response.headers['x-upstream']).toBe('yes');
+      expect(response.body).toBe('created');
+
+      const signed = sign.mock.calls[0][0];
+      expect(signed.url).toBe(`http://127.0.0.1:${upstreamPort}/prod/items?id=1`);
+      expect(signed.body.toString()).toBe('{"a":1}');
+      expect(Object.keys(signed.headers).map((name) => name.toLowerCase()))
+        .not.toEqual(expect.arrayContaining(['host', 'authorization']));
+      expect(signed.headers).not.toHaveProperty('x-amz-date');
+      expect(signed.headers).not.toHaveProperty('proxy-authorization');
+      expect(signed.headers).not.toHaveProperty('connection');
+
+      expect(received.url).toBe('/prod/items?id=1');
+      expect(received.headers.authorization).toBe('signed-by-AKID');
+      expect(received.body).toBe('{"a":1}');
+    });
+
+    test('should answer 502 when signing fails', async () => {
+      sign.mockRejectedValueOnce(new Error('Failed to resolve AWS credentials: expired'));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      const response = await request(proxyPort, { path: '/items' });
+
+      expect(response.status).toBe(502);
+      expect(response.body).toBe('Unable to sign request: Failed to resolve AWS credentials: expired\n');
+      expect(received).toBeUndefined();
+      console.error.mockRestore();
+    });
+
+    test('should close the client connection when the upstream drops mid-body', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      await expect(request(proxyPort, { path: '/drop' })).rejects.toThrow('aborted');
+      expect(console.error).toHaveBeenCalledWith(expect.stringContaining('GET /drop: Upstream response failed'));
+      console.error.mockRestore();
+    });
+  });
+});
@@ -0,0 +1,72 @@
+const { REDACTED, Redactor, redactStream } = require('../src/redact');
+
+const SECRET_KEY = 'wJalrXUtnFEMI/K7MDENG/bPxRfiCYEXAMPLEKEY';
+const SESSION_TOKEN = 'FwoGZXIvYXdzEBUaDExample/Session+Token==';
+const SIGNATURE = 'a'.repeat(16) + '0123456789abcdef'.repeat(3);
+
+describe('Redactor', () => {
+  test('should mask known secrets, also URL-encoded', () => {
+    const redactor = new Redactor([SECRET_KEY, SESSION_TOKEN]);
+
+    expect(redactor.redact(`secret ${SECRET_KEY} token=${encodeURIComponent(SESSION_TOKEN)}`))
+      .toBe(`secret ${REDACTED} token=${REDACTED}`);
+  });
+
+  test('should ignore missing and very short secrets', () => {
+    const redactor = new Redactor([undefined, 'abc']);
+
+    expect(redactor.redact('abc')).toBe('abc');
+  });
+
+  test('should mask signatures and session tokens by name', () => {
+    const redactor = new Redactor();
+
+    expect(redactor.redact(`https://h/?X-Amz-Date=20231201T120000Z&X-Amz-Signature=${SIGNATURE}&X-Amz-Security-Token=abc%2Fdef`))
+      .toBe(`https://h/?X-Amz-Date=20231201T120000Z&X-Amz-Signature=${REDACTED}&X-Amz-Security-Token=${REDACTED}`);
+    expect(redactor.redact(`Authorization: AWS4-HMAC-SHA256 Credential=AKID/x, SignedHeaders=host, Signature=${SIGNATURE}`))
+      .toBe(`Authorization: AWS4-HMAC-SHA256 Credential=AKID/x, SignedHeaders=host, Signature=${REDACTED}`);
+    expect(redactor.redact(`{ "X-Amz-Security-Token": "tok/en", "signature": "${SIGNATURE}" }`))
+      .toBe(`{ "X-Amz-Security-Token": "${REDACTED}", "signature": "${REDACTED}" }`);
+    expect(redactor.redact(`'X-Amz-Security-Token' = 'tok/en'`)).toBe(`'X-Amz-Security-Token' = '${REDACTED}'`);
+    expect(redactor.redact('x-amz-security-token:tok/en\nhost:h')).toBe(`x-amz-security-token:${REDACTED}\nhost:h`);
+  });
+
+  test('should mask the signing key derivation of debug output', () => {
+    const redactor = new Redactor();
+
+    expect(redactor.redact(`  kDate    = HMAC(kSecret, "20231201") = ${SIGNATURE}`))
+      .toBe(`  kDate    = HMAC(kSecret, "20231201") = ${REDACTED}`);
+    expect(redactor.redact(`Signature = HMAC(kSigning, string to sign) = ${SIGNATURE}`))
+      .toBe(`Signature = HMAC(kSigning, string to sign) = ${REDACTED}`);
+  });
+
+  test('should keep hashes and other hex values', () => {
+    const redactor = new Redactor();
+    const text = `Hashed payload:           ${SIGNATURE}\nSignedHeaders=host;x-amz-date`;
+
+    expect(redactor.redact(text)).toBe(text);
+  });
+
+  test('should mask POST policies that carry a session token', () => {
+    const redactor = new Redactor([SESSION_TOKEN]);
+    const withToken = Buffer.from(JSON.stringify({ conditions: [{ 'x-amz-security-token': SESSION_TOKEN }] })).toString('base64');
+    const withoutToken = Buffer.from(JSON.stringify({ conditions: [{ bucket: 'b' }] })).toString('base64');
+
+    expect(redactor.redact(`"policy": "${withToken}",`)).toBe(`"policy": "${REDACTED}",`);
+    expect(redactor.redact(`<input type="hidden" name="policy" value="${withToken}" />`))
+      .toBe(`<input type="hidden" name="policy" value="${REDACTED}" />`);
+    expect(redactor.redact(`"policy": "${withoutToken}",`)).toBe(`"policy": "${withoutToken}",`);
+  });
+
+  test('should redact text written to a stream, but not buffers', () => {
+    const written = [];
+    const stream = { write: (chunk) => written.push(chunk) };
+    redactStream(stream, new Redactor([SECRET_KEY]));
+
+    stream.write(`key ${SECRET_KEY}\n`);
+    stream.write(Buffer.from(SECRET_KEY));
+
+    expect(written[0]).toBe(`key ${REDACTED}\n`);
+    expect(written[1].toString()).toBe(SECRET_KEY);
+  });
+});
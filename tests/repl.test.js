@@ -0,0 +1,145 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EXIT, ReplSession } = require('../src/repl');
+
+describe('Interactive Shell', () => {
+  let execute;
+  let resolveCredentials;
+  let session;
+
+  beforeEach(() => {
+    execute = jest.fn(async (request) => `${request.method} ${request.url}`);
+    resolveCredentials = jest.fn().mockResolvedValue({ accessKeyId: 'AKID', secretAccessKey: 'secret' });
+    session = new ReplSession({
+      baseUrl: 'https://abc123.execute-api.us-east-1.amazonaws.com/prod',
+      state: { headers: { Accept: 'application/json' }, output: 'curl' },
+      outputFormats: ['url', 'curl', 'headers'],
+      execute,
+      resolveCredentials
+    });
+  });
+
+  test('should sign requests with the session state', async () => {
+    await session.evaluate('header X-Trace: abc');
+    await session.evaluate('body {"name": "it\'s me"}');
+    await session.evaluate('region eu-west-1');
+
+    expect(await session.evaluate('post /items?id=1')).toBe('POST https://abc123.execute-api.us-east-1.amazonaws.com/prod/items?id=1');
+    expect(execute).toHaveBeenCalledWith({
+      url: 'https://abc123.execute-api.us-east-1.amazonaws.com/prod/items?id=1',
+      method: 'POST',
+      headers: { 'Accept': 'application/json', 'X-Trace': 'abc' },
+      body: '{"name": "it\'s me"}',
+      service: undefined,
+      region: 'eu-west-1',
+      output: 'curl',
+      send: false
+    }, { accessKeyId: 'AKID', secretAccessKey: 'secret' });
+  });
+
+  test('should resolve credentials once for the session', async () => {
+    await session.evaluate('GET /a');
+    await session.evaluate('GET /b');
+
+    expect(resolveCredentials).toHaveBeenCalledTimes(1);
+  });
+
+  test('should resolve paths against the base URL and take full URLs as they are', async () => {
+    expect(session.resolveUrl('')).toBe('https://abc123.execute-api.us-east-1.amazonaws.com/prod');
+    expect(session.resolveUrl('items')).toBe('https://abc123.execute-api.us-east-1.amazonaws.com/prod/items');
+    expect(session.resolveUrl('?x=1')).toBe('https://abc123.execute-api.us-east-1.amazonaws.com/prod?x=1');
+    expect(session.resolveUrl('https://sqs.us-east-1.amazonaws.com/?Action=ListQueues'))
+      .toBe('https://sqs.us-east-1.amazonaws.com/?Action=ListQueues');
+
+    session.baseUrl = null;
+    await expect(session.evaluate('GET /')).rejects.toThrow('No base URL');
+  });
+
+  test('should set, replace and remove headers case-insensitively', async () => {
+    await session.evaluate('header accept: text/plain');
+    expect(await session.evaluate('headers')).toBe('accept: text/plain');
+
+    await session.evaluate('unheader ACCEPT');
+    expect(await session.evaluate('headers')).toBe('(no headers)');
+    await expect(session.evaluate('unheader Accept')).rejects.toThrow('No header named "Accept"');
+    await expect(session.evaluate('header NoColon')).rejects.toThrow('Expected "header Name: value"');
+  });
+
+  test('should set the target with its JSON content type and an empty body', async () => {
+    await session.evaluate('target Kinesis_20131202.ListStreams');
+
+    expect(session.headers).toEqual({
+      'Accept': 'application/json',
+      'X-Amz-Target': 'Kinesis_20131202.ListStreams',
+      'Content-Type': 'application/x-amz-json-1.1'
+    });
+    expect(session.body).toBe('{}');
+
+    await session.evaluate('body {"Limit": 1}');
+    await session.evaluate('target DynamoDB_20120810.ListTables');
+    expect(session.headers['Content-Type']).toBe('application/x-amz-json-1.0');
+    expect(session.body).toBe('{"Limit": 1}');
+  });
+
+  test('should read the body from a file', async () => {
+    const file = path.join(os.tmpdir(), `aws4-cli-repl-${process.pid}.bin`);
+    fs.writeFileSync(file, Buffer.from([0, 1, 2]));
+    try {
+      await session.evaluate(`body @${file}`);
+      expect(session.body).toEqual(Buffer.from([0, 1, 2]));
+      expect(await session.evaluate('show')).toContain('body:     3 bytes');
+    } finally {
+      fs.rmSync(file, { force: true });
+    }
+
+    await session.evaluate('body');
+    expect(session.body).toBeUndefined();
+  });
+
+  test('should validate output and send settings', async () => {
+    expect(await session.evaluate('output headers')).toBe('headers');
+    await expect(session.evaluate('output xml')).rejects.toThrow('output must be one of: url, curl, headers');
+
+    await session.evaluate('send on');
+    expect(session.send).toBe(true);
+    await expect(session.evaluate('send maybe')).rejects.toThrow('Expected "send on" or "send off"');
+  });
+
+  test('should ignore blank lines and comments, and exit', async () => {
+    expect(await session.evaluate('   ')).toBeUndefined();
+    expect(await session.evaluate('# a comment')).toBeUndefined();
+    expect(await session.evaluate('quit')).toBe(EXIT);
+    await expect(session.evaluate('frobnicate')).rejects.toThrow('Unknown command: frobnicate');
+  });
+
+  test('should complete commands, methods and known targets', () => {
+    expect(session.complete('he')).toEqual([['header', 'headers', 'help', 'HEAD'], 'he']);
+    expect(session.complete('PA')).toEqual([['PATCH'], 'PA']);
+    expect(session.complete('target DynamoDB_20120810.Li')).toEqual([['DynamoDB_20120810.ListTables'], 'DynamoDB_20120810.Li']);
+    expect(session.complete('header X-Amz-Target: Logs_20140328.Get')[0])
+      .toEqual(['Logs_20140328.GetLogEvents', 'Logs_20140328.GetQueryResults']);
+    expect(session.complete('header content-t')).toEqual([['Content-Type:'], 'content-t']);
+    expect(session.complete('output c')).toEqual([['curl'], 'c']);
+    expect(session.complete('unheader a')).toEqual([['Accept'], 'a']);
+  });
+
+  test('should keep history in a file, newest first for readline', () => {
+    const historyFile = path.join(os.tmpdir(), `aws4-cli-history-${process.pid}`);
+    fs.rmSync(historyFile, { force: true });
+    session.historyFile = historyFile;
+    try {
+      session.saveHistory('GET /a');
+      session.saveHistory('');
+      session.saveHistory('GET /b');
+
+      expect(fs.readFileSync(historyFile, 'utf8')).toBe('GET /a\nGET /b\n');
+      expect(session.loadHistory()).toEqual(['GET /b', 'GET /a']);
+      if (process.platform !== 'win32') {
+        expect(fs.statSync(historyFile).mode & 0o777).toBe(0o600);
+      }
+    } finally {
+      fs.rmSync(historyFile, { force: true });
+    }
+  });
+});
@@ -0,0 +1,76 @@
+const crypto = require('crypto');
+const { ALGORITHM, deriveSigningKey, SigV4ASigner, sign } = require('../src/sigv4a');
+
+// Credentials and derived public key from the AWS SigV4A test suite
+const credentials = {
+  accessKeyId: 'AKIDEXAMPLE',
+  secretAccessKey: 'wJalrXUtnFEMI/K7MDENG+bPxRfiCYEXAMPLEKEY'
+};
+const PUBLIC_KEY_X = 'b6618f6a65740a99e650b33b6b4b5bd0d43b176d721a3edfea7e7d2d56d936b1';
+const PUBLIC_KEY_Y = '865ed22a7eadc9c5cb9d2cbaca1b3699139fedc5043dc6661864218330c8e518';
+
+const vanillaRequest = {
+  host: 'example.amazonaws.com',
+  path: '/',
+  service: 'service',
+  headers: { 'X-Amz-Date': '20150830T123600Z' }
+};
+
+describe('SigV4A Signing', () => {
+  test('should derive the published ECDSA key from the secret access key', () => {
+    const { publicKey } = deriveSigningKey(credentials.accessKeyId, credentials.secretAccessKey);
+    // The uncompressed point 04 || X || Y ends the SPKI encoding
+    const point = publicKey.export({ type: 'spki', format: 'der' }).subarray(-65);
+
+    expect(point.subarray(1, 33).toString('hex')).toBe(PUBLIC_KEY_X);
+    expect(point.subarray(33).toString('hex')).toBe(PUBLIC_KEY_Y);
+  });
+
+  test('should build the canonical request with the region set header', () => {
+    const signer = new SigV4ASigner(vanillaRequest, credentials, 'us-east-1');
+
+    expect(signer.canonicalString()).toBe([
+      'GET',
+      '/',
+      '',
+      'host:example.amazonaws.com',
+      'x-amz-date:20150830T123600Z',
+      'x-amz-region-set:us-east-1',
+      '',
+      'host;x-amz-date;x-amz-region-set',
+      'e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855'
+    ].join('\n'));
+    expect(signer.stringToSign().split('\n').slice(0, 3)).toEqual([
+      ALGORITHM,
+      '20150830T123600Z',
+      '20150830/service/aws4_request'
+    ]);
+  });
+
+  test('should sign headers with a signature the derived public key verifies', () => {
+    const signer = new SigV4ASigner(vanillaRequest, credentials, 'us-east-1');
+    const signed = signer.sign();
+    const match = /^AWS4-ECDSA-P256-SHA256 Credential=AKIDEXAMPLE\/20150830\/service\/aws4_request, SignedHeaders=host;x-amz-date;x-amz-region-set, Signature=([0-9a-f]+)$/
+      .exec(signed.headers.Authorization);
+
+    expect(match).not.toBeNull();
+    const { publicKey } = deriveSigningKey(credentials.accessKeyId, credentials.secretAccessKey);
+    expect(crypto.verify('sha256', Buffer.from(signer.stringToSign()), publicKey, Buffer.from(match[1], 'hex'))).toBe(true);
+  });
+
+  test('should sign query parameters for presigned URLs', () => {
+    const signed = sign({
+      host: 'mfzwi23gnjvgw.mrap.accesspoint.s3-global.amazonaws.com',
+      path: '/my-object?X-Amz-Expires=3600',
+      service: 's3',
+      signQuery: true
+    }, credentials, '*');
+
+    const query = new URLSearchParams(signed.path.split('?')[1]);
+    expect(query.get('X-Amz-Algorithm')).toBe(ALGORITHM);
+    expect(query.get('X-Amz-Credential')).toMatch(/^AKIDEXAMPLE\/\d{8}\/s3\/aws4_request$/);
+    expect(query.get('X-Amz-Region-Set')).toBe('*');
+    expect(query.get('X-Amz-SignedHeaders')).toBe('host');
+    expect(query.get('X-Amz-Signature')).toMatch(/^30[0-9a-f]+$/);
+  });
+});